@@ -19,9 +19,37 @@ const client = createClient({
 const db = {
   execute: async (sql, args = []) => {
     return client.execute({ sql, args });
+  },
+  // Run { sql, args } statements in one write transaction: all of them take effect or none do
+  batch: async (statements) => {
+    return client.batch(statements.map(({ sql, args = [] }) => ({ sql, args })), 'write');
   }
 };
 
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't alter older databases)
+async function addColumnIfMissing(table, column, definition) {
+  const info = await client.execute(`PRAGMA table_info(${table})`);
+  if (!info.rows.some(row => row.name === column)) {
+    await client.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// One row per public holiday in a holiday calendar. `source` is 'manual', 'provider' (fetched online)
+// or 'rules' (worked out by the built-in rule engine);
+// `observed` marks a substitute day given in place of a holiday that falls on a weekend.
+const PUBLIC_HOLIDAYS_TABLE = `
+  CREATE TABLE IF NOT EXISTS public_holidays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    calendar_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    name TEXT NOT NULL,
+    source TEXT DEFAULT 'manual',
+    observed INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
 // Initialize database tables
 async function initDatabase() {
   await client.execute(`
@@ -41,6 +69,18 @@ async function initDatabase() {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT NOT NULL,
       manager_id INTEGER,
+      holiday_calendar_id INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS staffing_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      department_id INTEGER NOT NULL,
+      weekday INTEGER,
+      min_present INTEGER NOT NULL,
+      enforcement TEXT DEFAULT 'block',
       created_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
@@ -56,8 +96,13 @@ async function initDatabase() {
       department_id INTEGER,
       job_title TEXT,
       start_date TEXT,
+      leaving_date TEXT,
       salary REAL,
       holiday_allowance INTEGER DEFAULT 25,
+      leave_unit TEXT DEFAULT 'days',
+      carry_over_max_days REAL,
+      contract_type TEXT,
+      holiday_calendar_id INTEGER,
       address TEXT,
       emergency_contact_name TEXT,
       emergency_contact_phone TEXT,
@@ -73,10 +118,165 @@ async function initDatabase() {
       employee_id INTEGER NOT NULL,
       start_date TEXT NOT NULL,
       end_date TEXT NOT NULL,
+      start_half_day TEXT,
+      end_half_day TEXT,
+      hours REAL,
       days INTEGER NOT NULL,
       type TEXT DEFAULT 'annual',
       notes TEXT,
-      status TEXT DEFAULT 'approved',
+      status TEXT DEFAULT 'pending',
+      approved_by INTEGER,
+      approved_at TEXT,
+      rejection_reason TEXT,
+      closure_id INTEGER,
+      fit_note INTEGER DEFAULT 0,
+      return_to_work_notes TEXT,
+      return_to_work_at TEXT,
+      return_to_work_by INTEGER,
+      cancelled_by INTEGER,
+      cancelled_at TEXT,
+      cancellation_reason TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS leave_types (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      deducts_allowance INTEGER DEFAULT 0,
+      requires_approval INTEGER DEFAULT 1,
+      paid INTEGER DEFAULT 1,
+      color TEXT,
+      yearly_cap REAL,
+      notice_days INTEGER,
+      max_consecutive_days REAL,
+      max_months_ahead INTEGER,
+      allow_past_dates INTEGER DEFAULT 0,
+      sickness INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS holiday_days (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      holiday_id INTEGER NOT NULL,
+      employee_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      hours REAL
+    )
+  `);
+
+  await client.execute('CREATE INDEX IF NOT EXISTS idx_holiday_days_employee_date ON holiday_days (employee_id, date)');
+  await client.execute('CREATE INDEX IF NOT EXISTS idx_holiday_days_holiday ON holiday_days (holiday_id)');
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS company_closures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      mode TEXT DEFAULT 'deduct',
+      leave_type TEXT,
+      department_ids TEXT,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS holiday_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      holiday_id INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      changed_by INTEGER,
+      reason TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Files attached to a booking (e.g. a fit note), stored in the database alongside it
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS holiday_attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      holiday_id INTEGER NOT NULL,
+      filename TEXT NOT NULL,
+      content_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      data BLOB NOT NULL,
+      uploaded_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute('CREATE INDEX IF NOT EXISTS idx_holiday_attachments_holiday ON holiday_attachments (holiday_id)');
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS blackout_periods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      department_ids TEXT,
+      exempt_types TEXT,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS leave_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      employee_id INTEGER NOT NULL,
+      year INTEGER NOT NULL,
+      entry_type TEXT NOT NULL,
+      days REAL NOT NULL,
+      expires_on TEXT,
+      reason TEXT,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute('CREATE INDEX IF NOT EXISTS idx_leave_ledger_employee_year ON leave_ledger (employee_id, year)');
+
+  // The allowance an employee has for a particular leave year, fixed at the year-end rollover (and by
+  // allowance changes) so later changes don't rewrite years already closed
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS leave_year_allowances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      employee_id INTEGER NOT NULL,
+      year INTEGER NOT NULL,
+      allowance REAL NOT NULL,
+      entitlement_tier TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (employee_id, year)
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS entitlement_tiers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      min_years INTEGER NOT NULL,
+      allowance REAL NOT NULL,
+      department_ids TEXT,
+      contract_type TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS working_patterns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      employee_id INTEGER NOT NULL,
+      effective_from TEXT NOT NULL,
+      hours_json TEXT NOT NULL,
+      created_by INTEGER,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
@@ -100,19 +300,151 @@ async function initDatabase() {
     CREATE TABLE IF NOT EXISTS settings (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       company_name TEXT DEFAULT 'My Company',
-      working_hours_per_day INTEGER DEFAULT 8
+      working_hours_per_day INTEGER DEFAULT 8,
+      department_absence_threshold INTEGER DEFAULT 2,
+      accrual_mode TEXT DEFAULT 'upfront',
+      carry_over_max_days REAL DEFAULT 0,
+      carry_over_expiry TEXT,
+      bradford_triggers TEXT DEFAULT '51,201,401,651',
+      leave_year_start TEXT DEFAULT '01-01',
+      leave_year_basis TEXT DEFAULT 'fixed',
+      public_holiday_source TEXT DEFAULT 'provider',
+      public_holiday_refresh_days INTEGER DEFAULT 0,
+      default_holiday_allowance REAL DEFAULT 25
+    )
+  `);
+
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS holiday_calendars (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      country_code TEXT NOT NULL,
+      subdivision TEXT,
+      is_default INTEGER DEFAULT 0,
+      last_refreshed TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.execute(PUBLIC_HOLIDAYS_TABLE);
+
+  // Outcome of each public holiday refresh, whether run by an admin or by the scheduled job
+  await client.execute(`
+    CREATE TABLE IF NOT EXISTS public_holiday_refreshes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      calendar_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      trigger_type TEXT NOT NULL,
+      years TEXT NOT NULL,
+      status TEXT NOT NULL,
+      added INTEGER DEFAULT 0,
+      skipped INTEGER DEFAULT 0,
+      error TEXT,
+      duration_ms INTEGER,
+      requested_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Date ranges of a holiday calendar whose public holidays have changed since the booked leave in them
+  // was worked out, kept until that leave is recalculated
   await client.execute(`
-    CREATE TABLE IF NOT EXISTS public_holidays (
+    CREATE TABLE IF NOT EXISTS pending_leave_recalculations (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      country TEXT DEFAULT 'Ireland',
-      last_updated TEXT,
-      holidays_json TEXT DEFAULT '[]'
+      calendar_id INTEGER NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      reason TEXT,
+      created_by INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Columns added after the initial release
+  await addColumnIfMissing('holidays', 'approved_by', 'INTEGER');
+  await addColumnIfMissing('holidays', 'approved_at', 'TEXT');
+  await addColumnIfMissing('holidays', 'rejection_reason', 'TEXT');
+  await addColumnIfMissing('holidays', 'start_half_day', 'TEXT');
+  await addColumnIfMissing('holidays', 'end_half_day', 'TEXT');
+  await addColumnIfMissing('holidays', 'hours', 'REAL');
+  await addColumnIfMissing('holidays', 'closure_id', 'INTEGER');
+  await addColumnIfMissing('holidays', 'fit_note', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('holidays', 'return_to_work_notes', 'TEXT');
+  await addColumnIfMissing('holidays', 'return_to_work_at', 'TEXT');
+  await addColumnIfMissing('holidays', 'return_to_work_by', 'INTEGER');
+  await addColumnIfMissing('holidays', 'cancelled_by', 'INTEGER');
+  await addColumnIfMissing('holidays', 'cancelled_at', 'TEXT');
+  await addColumnIfMissing('holidays', 'cancellation_reason', 'TEXT');
+  await addColumnIfMissing('settings', 'department_absence_threshold', 'INTEGER DEFAULT 2');
+  await addColumnIfMissing('settings', 'accrual_mode', "TEXT DEFAULT 'upfront'");
+  await addColumnIfMissing('settings', 'carry_over_max_days', 'REAL DEFAULT 0');
+  await addColumnIfMissing('settings', 'carry_over_expiry', 'TEXT');
+  await addColumnIfMissing('settings', 'bradford_triggers', "TEXT DEFAULT '51,201,401,651'");
+  await addColumnIfMissing('settings', 'leave_year_start', "TEXT DEFAULT '01-01'");
+  await addColumnIfMissing('settings', 'leave_year_basis', "TEXT DEFAULT 'fixed'");
+  await addColumnIfMissing('settings', 'public_holiday_source', "TEXT DEFAULT 'provider'");
+  await addColumnIfMissing('settings', 'public_holiday_refresh_days', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('settings', 'default_holiday_allowance', 'REAL DEFAULT 25');
+  await addColumnIfMissing('employees', 'leaving_date', 'TEXT');
+  await addColumnIfMissing('employees', 'carry_over_max_days', 'REAL');
+  await addColumnIfMissing('employees', 'leave_unit', "TEXT DEFAULT 'days'");
+  await addColumnIfMissing('employees', 'contract_type', 'TEXT');
+  await addColumnIfMissing('employees', 'holiday_calendar_id', 'INTEGER');
+  await addColumnIfMissing('departments', 'holiday_calendar_id', 'INTEGER');
+
+  // Half days used to be recorded as an "AM half day" / "PM half day" prefix on the notes
+  await client.execute(`
+    UPDATE holidays
+    SET start_half_day = substr(notes, 1, 2),
+        notes = NULLIF(TRIM(LTRIM(substr(notes, 12), '.')), '')
+    WHERE start_half_day IS NULL AND days = 0.5
+      AND (notes LIKE 'AM half day%' OR notes LIKE 'PM half day%')
+  `);
+
+  // Public holidays used to be a JSON array in one row per country
+  const publicHolidayColumns = await client.execute('PRAGMA table_info(public_holidays)');
+  const legacyPublicHolidays = publicHolidayColumns.rows.some(column => column.name === 'holidays_json')
+    ? (await client.execute('SELECT * FROM public_holidays ORDER BY id')).rows
+    : null;
+
+  // There used to be a single set of public holidays; it becomes the default holiday calendar
+  const calendars = await client.execute('SELECT id FROM holiday_calendars LIMIT 1');
+  if (calendars.rows.length === 0) {
+    const country = legacyPublicHolidays?.[0]?.country || 'Ireland';
+    const countryCodes = { Ireland: 'IE', 'United Kingdom': 'GB', 'United States': 'US', Germany: 'DE', France: 'FR' };
+    await client.execute({
+      sql: 'INSERT INTO holiday_calendars (name, country_code, is_default) VALUES (?, ?, 1)',
+      args: [country, countryCodes[country] || country]
+    });
+  }
+
+  // Each holiday in the arrays becomes a row in the default calendar. Sets that were last written by an online
+  // refresh count as fetched from the provider; the rest were entered by hand. The table is swapped over in one
+  // transaction, so a failure part way leaves the old one as it was to migrate next time.
+  if (legacyPublicHolidays) {
+    const defaultCalendar = await client.execute('SELECT id FROM holiday_calendars ORDER BY is_default DESC, id LIMIT 1');
+    const calendarId = defaultCalendar.rows[0].id;
+    const statements = ['DROP TABLE public_holidays', PUBLIC_HOLIDAYS_TABLE];
+
+    for (const row of legacyPublicHolidays) {
+      if (row.last_updated) {
+        statements.push({
+          sql: 'UPDATE holiday_calendars SET last_refreshed = ? WHERE id = ? AND last_refreshed IS NULL',
+          args: [row.last_updated, calendarId]
+        });
+      }
+      for (const holiday of JSON.parse(row.holidays_json || '[]')) {
+        statements.push({
+          sql: `INSERT INTO public_holidays (calendar_id, date, name, source)
+                SELECT ?, ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM public_holidays WHERE calendar_id = ? AND date = ?)`,
+          args: [calendarId, holiday.date, holiday.name, row.last_updated ? 'provider' : 'manual', calendarId, holiday.date]
+        });
+      }
+    }
+    await client.batch(statements, 'write');
+  }
+  await client.execute('CREATE UNIQUE INDEX IF NOT EXISTS idx_public_holidays_calendar_date ON public_holidays (calendar_id, date)');
+
   console.log('Database tables initialized');
 }
 
@@ -0,0 +1,198 @@
+// Where refreshed public holidays come from. Each provider has `fetchHolidays(calendar, year)`, which
+// resolves to the calendar's holidays in that year as [{ date, name, observed }], `unsupported(calendar)`,
+// which gives the reason it can't supply a calendar (or null if it can), and `configurationError()`, which
+// gives the reason it can't supply any (or null if it is set up properly).
+//
+// The online provider talks to a Nager.Date-compatible API. Its base URL, timeout and retries come from
+// the environment, so a local mock server can stand in for the real service:
+//   HOLIDAY_PROVIDER_URL         base URL (default https://date.nager.at)
+//   HOLIDAY_PROVIDER_TIMEOUT_MS  time allowed for each attempt (default 10000)
+//   HOLIDAY_PROVIDER_RETRIES     further attempts after a timeout, network error or 5xx/429 (default 2)
+// A value that isn't a whole number is ignored with a warning. A base URL that isn't http(s) is reported
+// at startup and turns the online provider off until it is fixed.
+
+const http = require('http');
+const https = require('https');
+const holidayRules = require('./holidayRules');
+
+// A whole number of at least `min` from the environment, or `fallback` if it isn't set or valid
+function envInteger(name, fallback, min) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    console.warn(`Ignoring ${name}=${value}: expected a whole number of at least ${min}, using ${fallback}`);
+    return fallback;
+  }
+  return number;
+}
+
+const ONLINE_OPTIONS = {
+  baseUrl: (process.env.HOLIDAY_PROVIDER_URL || 'https://date.nager.at').replace(/\/+$/, ''),
+  timeoutMs: envInteger('HOLIDAY_PROVIDER_TIMEOUT_MS', 10000, 1),
+  retries: envInteger('HOLIDAY_PROVIDER_RETRIES', 2, 0),
+  backoffMs: 500
+};
+
+// Why a base URL can't be used for the online provider, or null if it can
+function baseUrlError(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (err) {
+    return `HOLIDAY_PROVIDER_URL is not a valid URL: ${baseUrl}`;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return `HOLIDAY_PROVIDER_URL must be an http or https URL, not ${baseUrl}`;
+  }
+  return null;
+}
+
+if (baseUrlError(ONLINE_OPTIONS.baseUrl)) {
+  console.warn(`${baseUrlError(ONLINE_OPTIONS.baseUrl)}; online public holiday refreshes will fail until it is fixed`);
+}
+
+function providerError(message, retryable) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+// GET a URL and parse the JSON body, failing if the whole request takes longer than `timeoutMs`
+function getJson(url, timeoutMs) {
+  const client = url.startsWith('http://') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const succeed = (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    };
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err.retryable !== undefined ? err : providerError(`Could not reach holiday provider: ${err.message}`, true));
+    };
+
+    // The timer is only started once there is a request for it to cancel; a URL the client can't
+    // request at all fails straight away
+    let request;
+    try {
+      request = client.get(url, (response) => {
+        let data = '';
+
+        response.on('data', chunk => {
+          data += chunk;
+        });
+
+        response.on('error', fail);
+
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            const retryable = response.statusCode >= 500 || response.statusCode === 429;
+            return fail(providerError(`Holiday provider returned status ${response.statusCode}`, retryable));
+          }
+          try {
+            succeed(JSON.parse(data));
+          } catch (err) {
+            fail(providerError('Holiday provider returned invalid JSON', false));
+          }
+        });
+      });
+    } catch (err) {
+      return fail(providerError(`Could not request ${url} from the holiday provider: ${err.message}`, false));
+    }
+
+    request.on('error', fail);
+    timer = setTimeout(() => {
+      const err = providerError(`Holiday provider timed out after ${timeoutMs}ms`, true);
+      fail(err);
+      request.destroy(err);
+    }, timeoutMs);
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `attempt` until it succeeds, waiting twice as long after each retryable failure
+async function withRetries(attempt, { retries, backoffMs }) {
+  for (let n = 0; ; n++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (!err.retryable || n >= retries) {
+        if (n > 0) err.message += ` (after ${n + 1} attempts)`;
+        throw err;
+      }
+      await sleep(backoffMs * 2 ** n);
+    }
+  }
+}
+
+// Check a Nager.Date response is a list of holidays in the year asked for, so a wrong base URL or a
+// changed API can't wipe out a calendar
+function validateOnlineHolidays(data, year) {
+  if (!Array.isArray(data)) {
+    throw providerError('Holiday provider response is not a list of holidays', false);
+  }
+  const bad = data.find(h => !h || typeof h.date !== 'string' || !h.date.startsWith(`${year}-`) ||
+    isNaN(Date.parse(h.date)) || !(h.localName || h.name));
+  if (bad) {
+    throw providerError(`Holiday provider returned an invalid holiday for ${year}: ${JSON.stringify(bad)}`, false);
+  }
+  return data;
+}
+
+function createOnlineProvider(options = {}) {
+  const { baseUrl, timeoutMs, retries, backoffMs } = { ...ONLINE_OPTIONS, ...options };
+
+  return {
+    name: 'Online holiday service',
+    configurationError: () => baseUrlError(baseUrl),
+    unsupported: () => baseUrlError(baseUrl),
+    async fetchHolidays(calendar, year) {
+      const url = `${baseUrl}/api/v3/PublicHolidays/${year}/${calendar.country_code}`;
+      const holidays = await withRetries(async () => validateOnlineHolidays(await getJson(url, timeoutMs), year), { retries, backoffMs });
+
+      // Regional holidays only count for a calendar set to that region (or one covering it)
+      const regions = calendar.subdivision ? holidayRules.subdivisionCodes(calendar.subdivision) : [];
+      return holidays
+        .filter(h => h.global !== false || (h.counties || []).some(code => regions.includes(code)))
+        .map(h => ({ date: h.date, name: h.localName || h.name, observed: false }));
+    }
+  };
+}
+
+function createRulesProvider() {
+  return {
+    name: 'Built-in holiday rules',
+    configurationError: () => null,
+    unsupported(calendar) {
+      if (holidayRules.ruleSetFor(calendar.country_code, calendar.subdivision)) return null;
+      return `No built-in public holiday rules for ${calendar.subdivision || calendar.country_code}; set the calendar's region or refresh online`;
+    },
+    async fetchHolidays(calendar, year) {
+      const ruleSet = holidayRules.ruleSetFor(calendar.country_code, calendar.subdivision);
+      return holidayRules.computeHolidays(ruleSet.key, year);
+    }
+  };
+}
+
+// Providers by the source name stored in settings and refresh logs
+const PROVIDERS = {
+  provider: createOnlineProvider,
+  rules: createRulesProvider
+};
+
+function getHolidayProvider(source, options) {
+  const create = PROVIDERS[source];
+  if (!create) {
+    throw new Error(`Unknown public holiday source: ${source}`);
+  }
+  return create(options);
+}
+
+module.exports = {
+  PROVIDERS,
+  getHolidayProvider
+};
@@ -0,0 +1,250 @@
+// Public holidays worked out from rules, for when they can't be fetched online.
+// Each region's rules give a holiday's date in a year as a fixed date, the nth weekday of a month,
+// a number of days from Easter Sunday, or (for the odd one out) a function of the year.
+// One-off holidays proclaimed for a single year (jubilees, state funerals) aren't covered and
+// need adding to the calendar by hand.
+
+const SUNDAY = 0;
+const MONDAY = 1;
+const THURSDAY = 4;
+const FRIDAY = 5;
+const SATURDAY = 6;
+
+// `substitution` is how a holiday with `substitute: true` that falls on a weekend is made up for:
+// 'next_weekday' gives the next weekday that isn't already a holiday (so Christmas and Boxing Day on a
+// weekend become the Monday and Tuesday); 'nearest_weekday' moves Saturday back to Friday and Sunday on to Monday
+const RULE_SETS = {
+  IE: {
+    name: 'Ireland',
+    substitution: 'next_weekday',
+    rules: [
+      { name: "New Year's Day", month: 1, day: 1, substitute: true },
+      // The first Monday in February, unless 1 February is a Friday
+      { name: "St Brigid's Day", from: 2023, date: year => (weekdayOf(year, 2, 1) === FRIDAY ? isoDate(year, 2, 1) : nthWeekday(year, 2, MONDAY, 1)) },
+      { name: "St Patrick's Day", month: 3, day: 17, substitute: true },
+      { name: 'Easter Monday', easter: 1 },
+      { name: 'May Bank Holiday', month: 5, weekday: MONDAY, nth: 1 },
+      { name: 'June Bank Holiday', month: 6, weekday: MONDAY, nth: 1 },
+      { name: 'August Bank Holiday', month: 8, weekday: MONDAY, nth: 1 },
+      { name: 'October Bank Holiday', month: 10, weekday: MONDAY, nth: -1 },
+      { name: 'Christmas Day', month: 12, day: 25, substitute: true },
+      { name: "St Stephen's Day", month: 12, day: 26, substitute: true }
+    ]
+  },
+  'GB-EAW': {
+    name: 'England and Wales',
+    substitution: 'next_weekday',
+    rules: [
+      { name: "New Year's Day", month: 1, day: 1, substitute: true },
+      { name: 'Good Friday', easter: -2 },
+      { name: 'Easter Monday', easter: 1 },
+      { name: 'Early May Bank Holiday', month: 5, weekday: MONDAY, nth: 1 },
+      { name: 'Spring Bank Holiday', month: 5, weekday: MONDAY, nth: -1 },
+      { name: 'Summer Bank Holiday', month: 8, weekday: MONDAY, nth: -1 },
+      { name: 'Christmas Day', month: 12, day: 25, substitute: true },
+      { name: 'Boxing Day', month: 12, day: 26, substitute: true }
+    ]
+  },
+  'GB-SCT': {
+    name: 'Scotland',
+    substitution: 'next_weekday',
+    rules: [
+      { name: "New Year's Day", month: 1, day: 1, substitute: true },
+      { name: '2nd January', month: 1, day: 2, substitute: true },
+      { name: 'Good Friday', easter: -2 },
+      { name: 'Early May Bank Holiday', month: 5, weekday: MONDAY, nth: 1 },
+      { name: 'Spring Bank Holiday', month: 5, weekday: MONDAY, nth: -1 },
+      { name: 'Summer Bank Holiday', month: 8, weekday: MONDAY, nth: 1 },
+      { name: "St Andrew's Day", month: 11, day: 30, substitute: true },
+      { name: 'Christmas Day', month: 12, day: 25, substitute: true },
+      { name: 'Boxing Day', month: 12, day: 26, substitute: true }
+    ]
+  },
+  'GB-NIR': {
+    name: 'Northern Ireland',
+    substitution: 'next_weekday',
+    rules: [
+      { name: "New Year's Day", month: 1, day: 1, substitute: true },
+      { name: "St Patrick's Day", month: 3, day: 17, substitute: true },
+      { name: 'Good Friday', easter: -2 },
+      { name: 'Easter Monday', easter: 1 },
+      { name: 'Early May Bank Holiday', month: 5, weekday: MONDAY, nth: 1 },
+      { name: 'Spring Bank Holiday', month: 5, weekday: MONDAY, nth: -1 },
+      { name: 'Battle of the Boyne', month: 7, day: 12, substitute: true },
+      { name: 'Summer Bank Holiday', month: 8, weekday: MONDAY, nth: -1 },
+      { name: 'Christmas Day', month: 12, day: 25, substitute: true },
+      { name: 'Boxing Day', month: 12, day: 26, substitute: true }
+    ]
+  },
+  US: {
+    name: 'United States (federal)',
+    substitution: 'nearest_weekday',
+    rules: [
+      { name: "New Year's Day", month: 1, day: 1, substitute: true },
+      { name: 'Martin Luther King Jr. Day', from: 1986, month: 1, weekday: MONDAY, nth: 3 },
+      { name: "Washington's Birthday", month: 2, weekday: MONDAY, nth: 3 },
+      { name: 'Memorial Day', month: 5, weekday: MONDAY, nth: -1 },
+      { name: 'Juneteenth National Independence Day', from: 2021, month: 6, day: 19, substitute: true },
+      { name: 'Independence Day', month: 7, day: 4, substitute: true },
+      { name: 'Labor Day', month: 9, weekday: MONDAY, nth: 1 },
+      { name: 'Columbus Day', month: 10, weekday: MONDAY, nth: 2 },
+      { name: 'Veterans Day', month: 11, day: 11, substitute: true },
+      { name: 'Thanksgiving Day', month: 11, weekday: THURSDAY, nth: 4 },
+      { name: 'Christmas Day', month: 12, day: 25, substitute: true }
+    ]
+  },
+  DE: {
+    name: 'Germany (nationwide)',
+    rules: [
+      { name: 'Neujahr', month: 1, day: 1 },
+      { name: 'Karfreitag', easter: -2 },
+      { name: 'Ostermontag', easter: 1 },
+      { name: 'Tag der Arbeit', month: 5, day: 1 },
+      { name: 'Christi Himmelfahrt', easter: 39 },
+      { name: 'Pfingstmontag', easter: 50 },
+      { name: 'Tag der Deutschen Einheit', month: 10, day: 3 },
+      { name: 'Erster Weihnachtstag', month: 12, day: 25 },
+      { name: 'Zweiter Weihnachtstag', month: 12, day: 26 }
+    ]
+  },
+  FR: {
+    name: 'France',
+    rules: [
+      { name: "Jour de l'an", month: 1, day: 1 },
+      { name: 'Lundi de Pâques', easter: 1 },
+      { name: 'Fête du Travail', month: 5, day: 1 },
+      { name: 'Victoire 1945', month: 5, day: 8 },
+      { name: 'Ascension', easter: 39 },
+      { name: 'Lundi de Pentecôte', easter: 50 },
+      { name: 'Fête nationale', month: 7, day: 14 },
+      { name: 'Assomption', month: 8, day: 15 },
+      { name: 'Toussaint', month: 11, day: 1 },
+      { name: 'Armistice 1918', month: 11, day: 11 },
+      { name: 'Noël', month: 12, day: 25 }
+    ]
+  }
+};
+
+// Subdivisions that share another region's rules
+const REGION_ALIASES = {
+  'GB-ENG': 'GB-EAW',
+  'GB-WLS': 'GB-EAW'
+};
+
+// The subdivision codes a region covers: its own plus those of any subdivisions sharing its rules, so
+// GB-EAW matches holidays published for GB-ENG or GB-WLS
+function subdivisionCodes(subdivision) {
+  return [subdivision, ...Object.keys(REGION_ALIASES).filter(code => REGION_ALIASES[code] === subdivision)];
+}
+
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+}
+
+function weekdayOf(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// The nth given weekday of a month (n = -1 for the last one)
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const offset = (weekday - weekdayOf(year, month, 1) + 7) % 7;
+    return isoDate(year, month, 1 + offset + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const offset = (weekdayOf(year, month, lastDay) - weekday + 7) % 7;
+  return isoDate(year, month, lastDay - offset + (n + 1) * 7);
+}
+
+// Easter Sunday in the Gregorian calendar (anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return isoDate(year, month, day);
+}
+
+function ruleDate(rule, year) {
+  if (rule.date) return rule.date(year);
+  if (rule.easter !== undefined) return addDays(easterSunday(year), rule.easter);
+  if (rule.weekday !== undefined) return nthWeekday(year, rule.month, rule.weekday, rule.nth);
+  return isoDate(year, rule.month, rule.day);
+}
+
+function isWeekend(dateStr) {
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return weekday === SATURDAY || weekday === SUNDAY;
+}
+
+// The rule set for a country and optional subdivision: the subdivision's own if it has one,
+// otherwise the country's. Returns { key, ...ruleSet } or null if there are no rules for it.
+function ruleSetFor(countryCode, subdivision = null) {
+  const candidates = subdivision ? [REGION_ALIASES[subdivision] || subdivision, countryCode] : [countryCode];
+  const key = candidates.find(k => RULE_SETS[k]);
+  return key ? { key, ...RULE_SETS[key] } : null;
+}
+
+// A region's public holidays in a year, in date order, as { date, name, observed }. Substitute days are
+// extra entries with the holiday's name and `observed: true`; the holiday itself stays on its weekend date. Holidays from the
+// years either side are worked out too, as their substitute days can cross into this one.
+function computeHolidays(regionKey, year) {
+  const ruleSet = RULE_SETS[REGION_ALIASES[regionKey] || regionKey];
+  if (!ruleSet) {
+    throw new Error(`No public holiday rules for ${regionKey}`);
+  }
+
+  const holidays = [];
+  for (const y of [year - 1, year, year + 1]) {
+    for (const rule of ruleSet.rules) {
+      if ((rule.from && y < rule.from) || (rule.until && y > rule.until)) continue;
+      holidays.push({ date: ruleDate(rule, y), name: rule.name, substitute: !!rule.substitute });
+    }
+  }
+  holidays.sort((a, b) => a.date.localeCompare(b.date));
+
+  const taken = new Set(holidays.map(h => h.date));
+  const result = holidays.map(h => ({ date: h.date, name: h.name, observed: false }));
+
+  for (const h of holidays.filter(h => h.substitute && isWeekend(h.date))) {
+    let date;
+    if (ruleSet.substitution === 'nearest_weekday') {
+      date = addDays(h.date, new Date(`${h.date}T00:00:00Z`).getUTCDay() === SATURDAY ? -1 : 1);
+    } else {
+      date = addDays(h.date, 1);
+      while (isWeekend(date) || taken.has(date)) date = addDays(date, 1);
+    }
+    taken.add(date);
+    result.push({ date, name: h.name, observed: true });
+  }
+
+  const prefix = `${year}-`;
+  return result
+    .filter(h => h.date.startsWith(prefix))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  RULE_SETS,
+  ruleSetFor,
+  subdivisionCodes,
+  computeHolidays,
+  easterSunday,
+  nthWeekday
+};
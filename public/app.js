@@ -2,10 +2,15 @@
 let currentUser = null;
 let employees = [];
 let departments = [];
+let leaveTypes = [];
+let holidayCalendars = [];
 let holidays = [];
 let timeEntries = [];
 let currentCalendarDate = new Date();
 
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CONTRACT_TYPE_NAMES = { full_time: 'Full-time', part_time: 'Part-time', fixed_term: 'Fixed-term', casual: 'Casual' };
+
 // API Helper
 async function api(endpoint, options = {}) {
   const res = await fetch(`/api${endpoint}`, {
@@ -25,7 +30,9 @@ async function api(endpoint, options = {}) {
   const data = await res.json();
 
   if (!res.ok) {
-    throw new Error(data.error || 'Request failed');
+    const error = new Error(data.error || 'Request failed');
+    error.data = data;
+    throw error;
   }
 
   return data;
@@ -69,9 +76,12 @@ function showApp() {
 
   document.body.className = `role-${currentUser.role}`;
 
+  initYearFilter();
   loadDashboard();
   loadEmployees();
   loadDepartments();
+  loadLeaveTypes();
+  loadHolidayCalendars();
 }
 
 // Navigation
@@ -92,8 +102,10 @@ document.querySelectorAll('.nav-item').forEach(item => {
       case 'holidays': loadHolidays(); break;
       case 'calendar': renderCalendar(); break;
       case 'timesheet': loadTimesheet(); break;
+      case 'sickness': loadSickness(); break;
       case 'departments': loadDepartments(); break;
       case 'users': loadUsers(); break;
+      case 'settings': loadSettings(); break;
     }
   });
 });
@@ -128,11 +140,13 @@ async function loadDashboard() {
     document.getElementById('stat-employees').textContent = stats.totalEmployees;
     document.getElementById('stat-holiday').textContent = stats.onHolidayToday;
     document.getElementById('stat-clocked').textContent = stats.clockedInToday;
+    document.getElementById('stat-pending').textContent = stats.pendingRequests;
+    document.getElementById('stat-pending-days').textContent = stats.pendingDays;
 
     // Load upcoming holidays
     const holidays = await api('/holidays');
     const upcoming = holidays
-      .filter(h => new Date(h.start_date) >= new Date())
+      .filter(h => ['approved', 'pending'].includes(h.status) && new Date(h.start_date) >= new Date())
       .slice(0, 5);
 
     const upcomingEl = document.getElementById('upcoming-holidays');
@@ -142,6 +156,7 @@ async function loadDashboard() {
       upcomingEl.innerHTML = `<ul class="activity-list">${upcoming.map(h => `
         <li class="activity-item">
           <span class="name">${h.employee_name}</span>
+          ${h.status === 'pending' ? '<span class="badge pending">pending</span>' : ''}
           <br>
           <span class="date">${formatDate(h.start_date)} - ${formatDate(h.end_date)}</span>
         </li>
@@ -156,7 +171,7 @@ async function loadDashboard() {
     } else {
       recentEl.innerHTML = `<ul class="activity-list">${recent.map(h => `
         <li class="activity-item">
-          <span class="name">${h.employee_name}</span> booked ${h.days} day(s)
+          <span class="name">${h.employee_name}</span> ${h.status === 'pending' ? 'requested' : 'booked'} ${h.days} day(s)
           <br>
           <span class="date">${formatDate(h.created_at)}</span>
         </li>
@@ -190,26 +205,36 @@ function renderEmployeesTable() {
   const isManagerOrAdmin = ['admin', 'manager'].includes(currentUser.role);
 
   if (employees.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No employees found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No employees found</td></tr>';
     return;
   }
 
   tbody.innerHTML = employees.map(e => {
     const remaining = e.holidays_remaining !== undefined ? e.holidays_remaining : e.holiday_allowance;
-    const allowance = e.holiday_allowance || 25;
-    const holidayClass = remaining <= 0 ? 'danger' : remaining <= 5 ? 'warning' : 'success';
+    const entitled = e.holidays_entitled !== undefined ? e.holidays_entitled : e.holiday_allowance;
+    const remainingDays = e.holidays_remaining_days !== undefined ? e.holidays_remaining_days : remaining;
+    const holidayClass = remainingDays <= 0 ? 'danger' : remainingDays <= 5 ? 'warning' : 'success';
+    const unit = e.leave_unit === 'hours' ? 'h' : '';
+    const holidayTitle = `Entitled ${entitled}, accrued ${e.holidays_accrued}, used ${e.holidays_used}, booked ${e.holidays_booked}, pending ${e.holidays_pending}`
+      + (unit ? ` hours (${remainingDays} days remaining)` : '');
+    const forecastTitle = e.holidays_projected_over_cap
+      ? `${e.holidays_projected_over_cap} day(s) above the carry-over cap would be lost`
+      : 'Left at the end of the year once approved and pending leave is taken';
     return `
     <tr>
       <td>${e.first_name} ${e.last_name}</td>
       <td>${e.email}</td>
       <td>${e.department_name || '-'}</td>
       <td>${e.job_title || '-'}</td>
-      <td><span class="badge ${holidayClass}">${remaining} / ${allowance}</span></td>
+      <td><span class="badge ${holidayClass}" title="${holidayTitle}">${remaining}${unit} / ${entitled}${unit}</span></td>
+      <td><span class="badge ${e.holidays_projected_over_cap ? 'warning' : ''}" title="${forecastTitle}">${e.holidays_projected}${unit}</span></td>
       <td><span class="badge ${e.status}">${e.status}</span></td>
       <td class="actions">
         <button class="btn btn-sm" onclick="viewEmployee(${e.id})">View</button>
+        <button class="btn btn-sm" onclick="openLeaveLedger(${e.id})">Ledger</button>
         ${isManagerOrAdmin ? `
           <button class="btn btn-sm" onclick="editEmployee(${e.id})">Edit</button>
+          <button class="btn btn-sm" onclick="openWorkingPattern(${e.id})">Pattern</button>
           <button class="btn btn-sm btn-danger" onclick="deleteEmployee(${e.id})">Delete</button>
         ` : ''}
       </td>
@@ -223,6 +248,7 @@ function populateEmployeeSelects() {
     'holiday-employee',
     'holiday-employee-filter',
     'timesheet-employee-filter',
+    'sickness-employee-filter',
     'department-manager',
     'user-employee',
     'timeentry-employee'
@@ -252,7 +278,9 @@ document.getElementById('add-employee-btn').addEventListener('click', () => {
   document.getElementById('employee-modal-title').textContent = 'Add Employee';
   document.getElementById('employee-form').reset();
   document.getElementById('employee-id').value = '';
+  document.getElementById('employee-tier-info').textContent = '';
   populateDepartmentSelect('employee-department');
+  populateHolidayCalendarSelect('employee-holiday-calendar', "Department's calendar");
   openModal('employee-modal');
 });
 
@@ -274,7 +302,13 @@ async function editEmployee(id) {
   document.getElementById('employee-number').value = emp.employee_number || '';
   document.getElementById('employee-job-title').value = emp.job_title || '';
   document.getElementById('employee-start-date').value = emp.start_date || '';
-  document.getElementById('employee-allowance').value = emp.holiday_allowance || 25;
+  document.getElementById('employee-leaving-date').value = emp.leaving_date || '';
+  document.getElementById('employee-carry-over-max').value = emp.carry_over_max_days ?? '';
+  document.getElementById('employee-allowance').value = emp.holiday_allowance ?? '';
+  document.getElementById('employee-leave-unit').value = emp.leave_unit || 'days';
+  document.getElementById('employee-contract-type').value = emp.contract_type || '';
+  populateHolidayCalendarSelect('employee-holiday-calendar', "Department's calendar", emp.holiday_calendar_id);
+  document.getElementById('employee-tier-info').textContent = employeeTierText(emp);
   document.getElementById('employee-status').value = emp.status;
   document.getElementById('employee-address').value = emp.address || '';
   document.getElementById('employee-emergency-name').value = emp.emergency_contact_name || '';
@@ -284,6 +318,19 @@ async function editEmployee(id) {
   openModal('employee-modal');
 }
 
+// Which entitlement tier an employee is on, and when they move up
+function employeeTierText(emp) {
+  const parts = [`${emp.service_years} year(s) of service`];
+  if (emp.entitlement_tier) {
+    parts.push(`on ${emp.entitlement_tier.name} (${emp.entitlement_tier.allowance} days)`);
+    if (emp.entitlement_tier.allowance !== emp.leave_year_allowance) parts.push('applied at the next rollover');
+  }
+  if (emp.next_entitlement_tier) {
+    parts.push(`${emp.next_entitlement_tier.name} (${emp.next_entitlement_tier.allowance} days) from ${formatDate(emp.next_entitlement_tier.reached_on)}`);
+  }
+  return parts.join('; ');
+}
+
 async function deleteEmployee(id) {
   if (!confirm('Are you sure you want to delete this employee?')) return;
 
@@ -308,7 +355,16 @@ document.getElementById('employee-form').addEventListener('submit', async (e) =>
     department_id: document.getElementById('employee-department').value || null,
     job_title: document.getElementById('employee-job-title').value,
     start_date: document.getElementById('employee-start-date').value,
-    holiday_allowance: parseInt(document.getElementById('employee-allowance').value) || 25,
+    leaving_date: document.getElementById('employee-leaving-date').value || null,
+    leave_unit: document.getElementById('employee-leave-unit').value,
+    contract_type: document.getElementById('employee-contract-type').value || null,
+    holiday_calendar_id: parseInt(document.getElementById('employee-holiday-calendar').value) || null,
+    carry_over_max_days: document.getElementById('employee-carry-over-max').value === ''
+      ? null
+      : parseFloat(document.getElementById('employee-carry-over-max').value),
+    holiday_allowance: document.getElementById('employee-allowance').value === ''
+      ? null
+      : parseFloat(document.getElementById('employee-allowance').value),
     status: document.getElementById('employee-status').value,
     address: document.getElementById('employee-address').value,
     emergency_contact_name: document.getElementById('employee-emergency-name').value,
@@ -331,6 +387,181 @@ document.getElementById('employee-form').addEventListener('submit', async (e) =>
 document.getElementById('employee-dept-filter').addEventListener('change', loadEmployees);
 document.getElementById('employee-status-filter').addEventListener('change', loadEmployees);
 
+// Working patterns (hours per weekday; the arrays from the API start on Sunday)
+const PATTERN_DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+async function openWorkingPattern(employeeId) {
+  const emp = employees.find(e => e.id === employeeId);
+  document.getElementById('pattern-modal-title').textContent = `Working Pattern - ${emp.first_name} ${emp.last_name}`;
+  document.getElementById('pattern-employee-id').value = employeeId;
+  document.getElementById('pattern-effective-from').value = new Date().toISOString().split('T')[0];
+  await loadWorkingPatterns();
+  openModal('pattern-modal');
+}
+
+async function loadWorkingPatterns() {
+  const employeeId = document.getElementById('pattern-employee-id').value;
+  const list = document.getElementById('pattern-list');
+
+  try {
+    const patterns = await api(`/employees/${employeeId}/working-patterns`);
+    const latest = patterns.length > 0 ? patterns[patterns.length - 1].hours : [0, 8, 8, 8, 8, 8, 0];
+
+    document.getElementById('pattern-hours').innerHTML = PATTERN_DAY_ORDER.map(d => `
+      <div class="form-group">
+        <label>${WEEKDAY_NAMES[d].slice(0, 3)}</label>
+        <input type="number" data-weekday="${d}" min="0" max="24" step="0.25" value="${latest[d]}">
+      </div>
+    `).join('');
+
+    if (patterns.length === 0) {
+      list.innerHTML = '<p class="empty-state">No working pattern set; Monday to Friday at the standard hours</p>';
+      return;
+    }
+
+    list.innerHTML = `<table>
+      <thead><tr><th>From</th>${PATTERN_DAY_ORDER.map(d => `<th>${WEEKDAY_NAMES[d].slice(0, 3)}</th>`).join('')}<th>Total</th><th></th></tr></thead>
+      <tbody>${patterns.map(p => `
+        <tr>
+          <td>${formatDate(p.effective_from)}</td>
+          ${PATTERN_DAY_ORDER.map(d => `<td>${p.hours[d] || '-'}</td>`).join('')}
+          <td>${p.hours.reduce((a, b) => a + b, 0)}</td>
+          <td><button type="button" class="btn btn-sm btn-danger" onclick="deleteWorkingPattern(${p.id})">Delete</button></td>
+        </tr>
+      `).join('')}</tbody>
+    </table>`;
+  } catch (err) {
+    console.error('Failed to load working patterns:', err);
+  }
+}
+
+async function deleteWorkingPattern(id) {
+  if (!confirm('Delete this working pattern? Bookings it covers will be recalculated.')) return;
+
+  try {
+    await api(`/working-patterns/${id}`, { method: 'DELETE' });
+    loadWorkingPatterns();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('pattern-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const employeeId = document.getElementById('pattern-employee-id').value;
+  const hours = [0, 0, 0, 0, 0, 0, 0];
+  document.querySelectorAll('#pattern-hours input').forEach(input => {
+    hours[parseInt(input.dataset.weekday)] = parseFloat(input.value) || 0;
+  });
+
+  try {
+    await api(`/employees/${employeeId}/working-patterns`, {
+      method: 'POST',
+      body: JSON.stringify({ effective_from: document.getElementById('pattern-effective-from').value, hours })
+    });
+    loadWorkingPatterns();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// Leave ledger (amounts come back in days; shown in hours for employees tracked in hours)
+const LEDGER_ENTRY_LABELS = {
+  grant: 'Grant',
+  adjustment: 'Adjustment',
+  purchase: 'Bought leave',
+  sale: 'Sold leave',
+  toil: 'TOIL credit',
+  carry_over: 'Carry-over',
+  expiry: 'Expiry'
+};
+
+async function openLeaveLedger(employeeId) {
+  const emp = employees.find(e => e.id === employeeId);
+  document.getElementById('ledger-modal-title').textContent = `Leave Ledger - ${emp.first_name} ${emp.last_name}`;
+  document.getElementById('ledger-employee-id').value = employeeId;
+  document.getElementById('ledger-amount-label').textContent = emp.leave_unit === 'hours' ? 'Hours *' : 'Days *';
+  document.getElementById('ledger-amount').value = '';
+  document.getElementById('ledger-reason').value = '';
+
+  const leaveYears = await api(`/leave-years?employee_id=${employeeId}`);
+  document.getElementById('ledger-year').innerHTML = leaveYearOptions(leaveYears);
+
+  await loadLeaveLedger();
+  openModal('ledger-modal');
+}
+
+async function loadLeaveLedger() {
+  const employeeId = document.getElementById('ledger-employee-id').value;
+  const year = document.getElementById('ledger-year').value;
+  const list = document.getElementById('ledger-list');
+
+  try {
+    const [entries, summary] = await Promise.all([
+      api(`/employees/${employeeId}/ledger?year=${year}`),
+      api(`/holidays/summary/${employeeId}?year=${year}`)
+    ]);
+    const inHours = summary.unit === 'hours';
+    const amount = days => inHours ? `${Math.round(days * summary.hours_per_day * 100) / 100}h` : days;
+
+    document.getElementById('ledger-balance').innerHTML = `
+      Entitled: <strong>${summary.entitled}</strong> ${summary.unit} |
+      Ledger: <strong>${Math.round((summary.adjustments + summary.carried_over - summary.carried_expired) * 100) / 100}</strong> ${summary.unit} |
+      Used and booked: <strong>${summary.used + summary.booked}</strong> ${summary.unit} |
+      Remaining: <strong>${summary.remaining}</strong> ${summary.unit}
+    `;
+
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="empty-state">No ledger entries for this year</p>';
+      return;
+    }
+
+    list.innerHTML = `<table>
+      <thead><tr><th>Date</th><th>Type</th><th>Amount</th><th>Reason</th><th>By</th></tr></thead>
+      <tbody>${entries.map(l => `
+        <tr>
+          <td>${formatDate(l.created_at)}</td>
+          <td>${LEDGER_ENTRY_LABELS[l.entry_type] || l.entry_type}</td>
+          <td>${l.days > 0 ? '+' : ''}${amount(l.days)}${l.expires_on ? ` (expires ${formatDate(l.expires_on)})` : ''}</td>
+          <td>${l.reason || '-'}</td>
+          <td>${l.derived ? 'Automatic' : (l.created_by_email || '-')}</td>
+        </tr>
+      `).join('')}</tbody>
+    </table>`;
+  } catch (err) {
+    console.error('Failed to load leave ledger:', err);
+  }
+}
+
+document.getElementById('ledger-year').addEventListener('change', loadLeaveLedger);
+
+document.getElementById('ledger-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const employeeId = document.getElementById('ledger-employee-id').value;
+  const emp = employees.find(emp => emp.id === parseInt(employeeId));
+  const amount = document.getElementById('ledger-amount').value;
+  const data = {
+    year: document.getElementById('ledger-year').value,
+    entry_type: document.getElementById('ledger-entry-type').value,
+    reason: document.getElementById('ledger-reason').value
+  };
+  data[emp && emp.leave_unit === 'hours' ? 'hours' : 'days'] = amount;
+
+  try {
+    await api(`/employees/${employeeId}/ledger`, { method: 'POST', body: JSON.stringify(data) });
+    document.getElementById('ledger-amount').value = '';
+    document.getElementById('ledger-reason').value = '';
+    loadLeaveLedger();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
 // Departments
 async function loadDepartments() {
   try {
@@ -346,7 +577,7 @@ function renderDepartmentsTable() {
   const tbody = document.querySelector('#departments-table tbody');
 
   if (departments.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="4" class="empty-state">No departments found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No departments found</td></tr>';
     return;
   }
 
@@ -355,8 +586,10 @@ function renderDepartmentsTable() {
       <td>${d.name}</td>
       <td>${d.manager_name || '-'}</td>
       <td>${d.employee_count}</td>
+      <td>${d.holiday_calendar_id ? holidayCalendarName(d.holiday_calendar_id) : 'Default'}</td>
       <td class="actions">
         <button class="btn btn-sm" onclick="editDepartment(${d.id})">Edit</button>
+        <button class="btn btn-sm" onclick="openStaffingRules(${d.id})">Staffing</button>
         <button class="btn btn-sm btn-danger" onclick="deleteDepartment(${d.id})">Delete</button>
       </td>
     </tr>
@@ -385,6 +618,7 @@ document.getElementById('add-department-btn').addEventListener('click', () => {
   document.getElementById('department-modal-title').textContent = 'Add Department';
   document.getElementById('department-form').reset();
   document.getElementById('department-id').value = '';
+  populateHolidayCalendarSelect('department-holiday-calendar', 'Default calendar');
   openModal('department-modal');
 });
 
@@ -396,6 +630,7 @@ async function editDepartment(id) {
   document.getElementById('department-id').value = dept.id;
   document.getElementById('department-name').value = dept.name;
   document.getElementById('department-manager').value = dept.manager_id || '';
+  populateHolidayCalendarSelect('department-holiday-calendar', 'Default calendar', dept.holiday_calendar_id);
   openModal('department-modal');
 }
 
@@ -416,7 +651,8 @@ document.getElementById('department-form').addEventListener('submit', async (e)
   const id = document.getElementById('department-id').value;
   const data = {
     name: document.getElementById('department-name').value,
-    manager_id: document.getElementById('department-manager').value || null
+    manager_id: document.getElementById('department-manager').value || null,
+    holiday_calendar_id: parseInt(document.getElementById('department-holiday-calendar').value) || null
   };
 
   try {
@@ -432,26 +668,178 @@ document.getElementById('department-form').addEventListener('submit', async (e)
   }
 });
 
+// Staffing rules
+async function openStaffingRules(departmentId) {
+  const dept = departments.find(d => d.id === departmentId);
+  if (!dept) return;
+
+  document.getElementById('staffing-modal-title').textContent = `Minimum Staffing - ${dept.name}`;
+  document.getElementById('staffing-form').reset();
+  document.getElementById('staffing-department-id').value = departmentId;
+  await loadStaffingRules();
+  openModal('staffing-modal');
+}
+
+async function loadStaffingRules() {
+  const departmentId = document.getElementById('staffing-department-id').value;
+  const container = document.getElementById('staffing-rules-list');
+
+  try {
+    const rules = await api(`/staffing-rules?department_id=${departmentId}`);
+
+    if (rules.length === 0) {
+      container.innerHTML = '<p class="empty-state">No minimum staffing rules</p>';
+      return;
+    }
+
+    container.innerHTML = `<table>
+      <thead>
+        <tr><th>Day</th><th>Min Present</th><th>Enforcement</th><th></th></tr>
+      </thead>
+      <tbody>${rules.map(r => `
+        <tr>
+          <td>${r.weekday === null ? 'Every working day' : WEEKDAY_NAMES[r.weekday]}</td>
+          <td>${r.min_present}</td>
+          <td>${r.enforcement === 'block' ? 'Block booking' : 'Flag for manager'}</td>
+          <td><button type="button" class="btn btn-sm btn-danger" onclick="deleteStaffingRule(${r.id})">Delete</button></td>
+        </tr>
+      `).join('')}</tbody>
+    </table>`;
+  } catch (err) {
+    container.innerHTML = `<p class="empty-state">${err.message}</p>`;
+  }
+}
+
+async function deleteStaffingRule(id) {
+  if (!confirm('Are you sure you want to delete this staffing rule?')) return;
+
+  try {
+    await api(`/staffing-rules/${id}`, { method: 'DELETE' });
+    loadStaffingRules();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('staffing-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const data = {
+    department_id: document.getElementById('staffing-department-id').value,
+    weekday: document.getElementById('staffing-weekday').value,
+    min_present: parseInt(document.getElementById('staffing-min-present').value),
+    enforcement: document.getElementById('staffing-enforcement').value
+  };
+
+  try {
+    await api('/staffing-rules', { method: 'POST', body: JSON.stringify(data) });
+    document.getElementById('staffing-min-present').value = '';
+    loadStaffingRules();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
 // Holidays
 async function loadHolidays() {
   try {
     const employeeId = document.getElementById('holiday-employee-filter').value;
     const year = document.getElementById('holiday-year-filter').value;
+    const status = document.getElementById('holiday-status-filter').value;
 
     let url = '/holidays?';
     if (employeeId) url += `employee_id=${employeeId}&`;
+    if (status) url += `status=${status}&`;
     if (year) url += `year=${year}`;
 
     holidays = await api(url);
     renderHolidaysTable();
+
+    if (['admin', 'manager'].includes(currentUser.role)) {
+      loadPendingHolidays();
+    }
   } catch (err) {
     console.error('Failed to load holidays:', err);
   }
 }
 
+async function loadPendingHolidays() {
+  const container = document.getElementById('pending-holidays');
+
+  try {
+    const pending = await api('/holidays?status=pending');
+    pending.sort((a, b) => a.start_date.localeCompare(b.start_date));
+
+    if (pending.length === 0) {
+      container.innerHTML = '<p class="empty-state">No requests waiting for approval</p>';
+      return;
+    }
+
+    container.innerHTML = `<table>
+      <thead>
+        <tr>
+          <th>Employee</th>
+          <th>Dates</th>
+          <th>Days</th>
+          <th>Type</th>
+          <th>Notes</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>${pending.map(h => `
+        <tr>
+          <td>${h.employee_name}</td>
+          <td>${formatDate(h.start_date)} - ${formatDate(h.end_date)}</td>
+          <td>${h.days}${holidayPortionLabel(h) ? ` <small>(${holidayPortionLabel(h)})</small>` : ''}</td>
+          <td>${leaveTypeBadge(h.type)}</td>
+          <td>${h.notes || '-'}</td>
+          <td class="actions">
+            <button class="btn btn-sm btn-primary" onclick="approveHoliday(${h.id})">Approve</button>
+            <button class="btn btn-sm btn-danger" onclick="rejectHoliday(${h.id})">Reject</button>
+          </td>
+        </tr>
+      `).join('')}</tbody>
+    </table>`;
+  } catch (err) {
+    console.error('Failed to load pending holidays:', err);
+  }
+}
+
+async function approveHoliday(id, overrideReason = null) {
+  try {
+    await api(`/holidays/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ override_reason: overrideReason })
+    });
+    loadHolidays();
+  } catch (err) {
+    if (err.data && err.data.code === 'BELOW_MIN_STAFFING' && !overrideReason) {
+      const days = err.data.shortfalls.map(s => `${formatDate(s.date)}: ${s.present} of ${s.min_present} in ${s.department_name}`);
+      const reason = prompt(`${err.message}:\n${days.join('\n')}\n\nEnter a reason to override:`);
+      if (reason) approveHoliday(id, reason);
+      return;
+    }
+    alert(err.message);
+  }
+}
+
+async function rejectHoliday(id) {
+  const reason = prompt('Reason for rejecting this request:');
+  if (!reason) return;
+
+  try {
+    await api(`/holidays/${id}/reject`, { method: 'POST', body: JSON.stringify({ reason }) });
+    loadHolidays();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
 function renderHolidaysTable() {
   const tbody = document.querySelector('#holidays-table tbody');
   const isManagerOrAdmin = ['admin', 'manager'].includes(currentUser.role);
+  const yearSelect = document.getElementById('holiday-year-filter');
+  const year = yearSelect.value ? yearSelect.selectedOptions[0].textContent : '';
 
   if (holidays.length === 0) {
     tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No holidays found</td></tr>';
@@ -463,44 +851,62 @@ function renderHolidaysTable() {
       <td>${h.employee_name}</td>
       <td>${formatDate(h.start_date)}</td>
       <td>${formatDate(h.end_date)}</td>
-      <td>${h.days}</td>
-      <td><span class="badge ${h.type}">${h.type}</span></td>
-      <td><span class="badge ${h.status}">${h.status}</span></td>
+      <td>
+        ${h.days}${holidayPortionLabel(h) ? ` <small>(${holidayPortionLabel(h)})</small>` : ''}
+        ${h.period_days !== h.days ? `<br><small>${h.period_days} in ${year}</small>` : ''}
+      </td>
+      <td>${leaveTypeBadge(h.type)}${h.attachment_count > 0 ? ` <span class="attachment-count" title="${h.attachment_count} attachment(s)">&#128206;${h.attachment_count}</span>` : ''}</td>
+      <td>
+        <span class="badge ${h.status}" ${h.rejection_reason || h.cancellation_reason ? `title="${h.rejection_reason || h.cancellation_reason}"` : ''}>${h.status}</span>
+        ${h.status === 'cancelled' ? `<br><small>${h.cancelled_by_email || ''} ${formatDate(h.cancelled_at)}</small>` : ''}
+      </td>
       <td class="actions">
         ${isManagerOrAdmin || h.employee_id === currentUser.employeeId ? `
-          <button class="btn btn-sm" onclick="editHoliday(${h.id})">Edit</button>
-          <button class="btn btn-sm btn-danger" onclick="deleteHoliday(${h.id})">Delete</button>
+          ${h.status !== 'cancelled' ? `<button class="btn btn-sm" onclick="editHoliday(${h.id})">Edit</button>` : ''}
+          ${['approved', 'pending'].includes(h.status) && !h.closure_id
+            ? `<button class="btn btn-sm btn-danger" onclick="openCancelHoliday(${h.id})">Cancel</button>` : ''}
+          <button class="btn btn-sm" onclick="openHolidayHistory(${h.id})">History</button>
+          ${currentUser.role === 'admin' ? `<button class="btn btn-sm btn-danger" onclick="deleteHoliday(${h.id})">Delete</button>` : ''}
         ` : ''}
       </td>
     </tr>
   `).join('');
 }
 
+// Options for a leave year picker, from GET /leave-years, with the current leave year selected
+function leaveYearOptions(leaveYears) {
+  return leaveYears.years.map(y => `
+    <option value="${y.year}" title="${formatDate(y.start)} - ${formatDate(y.end)}" ${y.year === leaveYears.current ? 'selected' : ''}>${y.label}</option>
+  `).join('');
+}
+
 // Initialize year filter
-function initYearFilter() {
-  const select = document.getElementById('holiday-year-filter');
-  const currentYear = new Date().getFullYear();
-  select.innerHTML = '';
-  for (let y = currentYear + 1; y >= currentYear - 2; y--) {
-    select.innerHTML += `<option value="${y}" ${y === currentYear ? 'selected' : ''}>${y}</option>`;
+async function initYearFilter() {
+  try {
+    const leaveYears = await api('/leave-years');
+    document.getElementById('holiday-year-filter').innerHTML = leaveYearOptions(leaveYears);
+  } catch (err) {
+    console.error('Failed to load leave years:', err);
   }
 }
 
 document.getElementById('add-holiday-btn').addEventListener('click', () => {
   document.getElementById('holiday-modal-title').textContent = 'Book Holiday';
+  populateLeaveTypeSelect();
   document.getElementById('holiday-form').reset();
   document.getElementById('holiday-id').value = '';
 
-  // Reset half day fields
-  document.getElementById('holiday-half-day').checked = false;
-  document.getElementById('half-day-period-group').style.display = 'none';
-  document.getElementById('holiday-end').disabled = false;
+  syncHolidayPortionFields();
+  syncFitNoteField();
 
   // If employee, preselect themselves
   if (currentUser.employeeId) {
     document.getElementById('holiday-employee').value = currentUser.employeeId;
     updateHolidayAllowanceInfo();
   }
+  document.getElementById('holiday-booking-check').innerHTML = '';
+  document.getElementById('holiday-override-reason').value = '';
+  document.getElementById('holiday-attachments').innerHTML = '';
 
   openModal('holiday-modal');
 });
@@ -514,38 +920,81 @@ async function editHoliday(id) {
   document.getElementById('holiday-employee').value = holiday.employee_id;
   document.getElementById('holiday-start').value = holiday.start_date;
   document.getElementById('holiday-end').value = holiday.end_date;
+  populateLeaveTypeSelect(holiday.type);
   document.getElementById('holiday-type').value = holiday.type;
 
-  // Check if this is a half day (0.5 days)
-  const isHalfDay = holiday.days === 0.5;
-  document.getElementById('holiday-half-day').checked = isHalfDay;
-
-  if (isHalfDay) {
-    document.getElementById('half-day-period-group').style.display = 'block';
-    document.getElementById('holiday-end').disabled = true;
-    // Try to extract period from notes
-    const notes = holiday.notes || '';
-    if (notes.startsWith('PM half day')) {
-      document.getElementById('holiday-half-day-period').value = 'PM';
-      document.getElementById('holiday-notes').value = notes.replace(/^PM half day\.?\s*/, '');
-    } else if (notes.startsWith('AM half day')) {
-      document.getElementById('holiday-half-day-period').value = 'AM';
-      document.getElementById('holiday-notes').value = notes.replace(/^AM half day\.?\s*/, '');
-    } else {
-      document.getElementById('holiday-notes').value = notes;
-    }
-  } else {
-    document.getElementById('half-day-period-group').style.display = 'none';
-    document.getElementById('holiday-end').disabled = false;
-    document.getElementById('holiday-notes').value = holiday.notes || '';
-  }
+  document.getElementById('holiday-start-half').value = holiday.hours ? 'hours' : holiday.start_half_day || '';
+  document.getElementById('holiday-end-half').value = holiday.end_half_day || '';
+  document.getElementById('holiday-hours').value = holiday.hours || '';
+  document.getElementById('holiday-notes').value = holiday.notes || '';
+  document.getElementById('holiday-fit-note').checked = holiday.fit_note;
+  syncHolidayPortionFields();
+  syncFitNoteField();
 
   updateHolidayAllowanceInfo();
+  checkHolidayBooking();
+  loadHolidayAttachments(holiday.id);
   openModal('holiday-modal');
 }
 
+async function loadHolidayAttachments(holidayId) {
+  const container = document.getElementById('holiday-attachments');
+  container.innerHTML = '';
+
+  try {
+    const attachments = await api(`/holidays/${holidayId}/attachments`);
+    container.innerHTML = attachments.map(a => `
+      <div class="attachment-row">
+        <a href="/api/holidays/${holidayId}/attachments/${a.id}" target="_blank">${a.filename}</a>
+        <small>${formatFileSize(a.size)}</small>
+        <button type="button" class="btn btn-sm btn-danger" onclick="deleteHolidayAttachment(${holidayId}, ${a.id})">Remove</button>
+      </div>
+    `).join('');
+  } catch (err) {
+    console.error('Failed to load attachments:', err);
+  }
+}
+
+async function deleteHolidayAttachment(holidayId, attachmentId) {
+  if (!confirm('Remove this attachment?')) return;
+
+  try {
+    await api(`/holidays/${holidayId}/attachments/${attachmentId}`, { method: 'DELETE' });
+    loadHolidayAttachments(holidayId);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+// Upload the files chosen in the holiday modal once the booking has been saved
+async function uploadHolidayAttachments(holidayId) {
+  const input = document.getElementById('holiday-attachment-files');
+  const failed = [];
+
+  for (const file of input.files) {
+    try {
+      await api(`/holidays/${holidayId}/attachments?filename=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file
+      });
+    } catch (err) {
+      failed.push(`${file.name}: ${err.message}`);
+    }
+  }
+
+  input.value = '';
+  if (failed.length > 0) alert(`Some attachments could not be uploaded:\n${failed.join('\n')}`);
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 async function deleteHoliday(id) {
-  if (!confirm('Are you sure you want to delete this holiday?')) return;
+  if (!confirm('Delete this booking and its history? Use Cancel to keep a record of it.')) return;
 
   try {
     await api(`/holidays/${id}`, { method: 'DELETE' });
@@ -558,7 +1007,6 @@ async function deleteHoliday(id) {
 document.getElementById('holiday-form').addEventListener('submit', async (e) => {
   e.preventDefault();
 
-  const isHalfDay = document.getElementById('holiday-half-day').checked;
   const id = document.getElementById('holiday-id').value;
   const data = {
     employee_id: document.getElementById('holiday-employee').value,
@@ -566,71 +1014,296 @@ document.getElementById('holiday-form').addEventListener('submit', async (e) =>
     end_date: document.getElementById('holiday-end').value,
     type: document.getElementById('holiday-type').value,
     notes: document.getElementById('holiday-notes').value,
-    is_half_day: isHalfDay,
-    half_day_period: isHalfDay ? document.getElementById('holiday-half-day-period').value : null
+    fit_note: isSicknessType(document.getElementById('holiday-type').value) && document.getElementById('holiday-fit-note').checked,
+    ...getHolidayPortion(),
+    override_reason: document.getElementById('holiday-override-reason').value || null
   };
 
   try {
+    let holidayId = id;
     if (id) {
       await api(`/holidays/${id}`, { method: 'PUT', body: JSON.stringify(data) });
     } else {
-      await api('/holidays', { method: 'POST', body: JSON.stringify(data) });
+      holidayId = (await api('/holidays', { method: 'POST', body: JSON.stringify(data) })).id;
     }
+    await uploadHolidayAttachments(holidayId);
     closeModal('holiday-modal');
     loadHolidays();
   } catch (err) {
+    if (err.data && (err.data.conflicts || err.data.shortfalls || err.data.blackouts)) {
+      renderBookingCheck(err.data);
+    } else if (err.data && err.data.code === 'TYPE_CAP_EXCEEDED') {
+      renderBookingCheck({ cap_exceeded: err.data });
+    } else if (err.data && err.data.code === 'POLICY_VIOLATION') {
+      renderBookingCheck({ policy_violations: err.data.violations });
+    }
     alert(err.message);
   }
 });
 
 document.getElementById('holiday-employee').addEventListener('change', updateHolidayAllowanceInfo);
 
-// Half day toggle
-document.getElementById('holiday-half-day').addEventListener('change', function() {
-  const periodGroup = document.getElementById('half-day-period-group');
-  const endDateInput = document.getElementById('holiday-end');
-  const startDateInput = document.getElementById('holiday-start');
-
-  if (this.checked) {
-    periodGroup.style.display = 'block';
-    // For half day, end date should be same as start date
-    endDateInput.value = startDateInput.value;
-    endDateInput.disabled = true;
-  } else {
-    periodGroup.style.display = 'none';
-    endDateInput.disabled = false;
+// Cancel, shorten or recall a booking
+function openCancelHoliday(id) {
+  const holiday = holidays.find(h => h.id === id);
+  if (!holiday) return;
+
+  document.getElementById('cancel-holiday-form').reset();
+  document.getElementById('cancel-holiday-id').value = holiday.id;
+  document.getElementById('cancel-holiday-summary').textContent =
+    `${holiday.employee_name}: ${formatDate(holiday.start_date)} - ${formatDate(holiday.end_date)}, ${holiday.days} day(s) of ${leaveTypeName(holiday.type)} (${holiday.status})`;
+  document.getElementById('cancel-holiday-start').value = holiday.start_date;
+  document.getElementById('cancel-holiday-end').value = holiday.end_date;
+  syncCancelHolidayFields();
+  openModal('cancel-holiday-modal');
+}
+
+function syncCancelHolidayFields() {
+  const action = document.getElementById('cancel-holiday-action').value;
+  document.getElementById('cancel-holiday-dates').style.display = action === 'shorten' ? '' : 'none';
+  document.getElementById('cancel-holiday-return-group').style.display = action === 'recall' ? '' : 'none';
+}
+
+document.getElementById('cancel-holiday-action').addEventListener('change', syncCancelHolidayFields);
+
+document.getElementById('cancel-holiday-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const id = document.getElementById('cancel-holiday-id').value;
+  const action = document.getElementById('cancel-holiday-action').value;
+  const data = { reason: document.getElementById('cancel-holiday-reason').value };
+  if (action === 'shorten') {
+    data.start_date = document.getElementById('cancel-holiday-start').value;
+    data.end_date = document.getElementById('cancel-holiday-end').value;
+  } else if (action === 'recall') {
+    data.return_date = document.getElementById('cancel-holiday-return').value;
+  }
+
+  try {
+    const result = await api(`/holidays/${id}/${action}`, { method: 'POST', body: JSON.stringify(data) });
+    closeModal('cancel-holiday-modal');
+    loadHolidays();
+    alert(`${result.message}. ${result.refunded_days} day(s) refunded.`);
+  } catch (err) {
+    alert(err.message);
   }
 });
 
-// Sync end date with start date when half day is checked
+async function openHolidayHistory(id) {
+  const holiday = holidays.find(h => h.id === id);
+  if (!holiday) return;
+
+  document.getElementById('holiday-history-summary').textContent =
+    `${holiday.employee_name}: ${formatDate(holiday.start_date)} - ${formatDate(holiday.end_date)}, ${holiday.days} day(s) of ${leaveTypeName(holiday.type)}`;
+  const list = document.getElementById('holiday-history-list');
+  list.innerHTML = '';
+  openModal('holiday-history-modal');
+
+  try {
+    const history = await api(`/holidays/${id}/history`);
+    if (history.length === 0) {
+      list.innerHTML = '<p class="empty-state">No history recorded</p>';
+      return;
+    }
+
+    list.innerHTML = `<table>
+      <thead><tr><th>Date</th><th>Status</th><th>By</th><th>Reason</th></tr></thead>
+      <tbody>${history.map(s => `
+        <tr>
+          <td>${formatDate(s.created_at)}</td>
+          <td><span class="badge ${s.status}">${s.status}</span></td>
+          <td>${s.changed_by_email || '-'}</td>
+          <td>${s.reason || '-'}</td>
+        </tr>
+      `).join('')}</tbody>
+    </table>`;
+  } catch (err) {
+    console.error('Failed to load holiday history:', err);
+  }
+}
+
+// The booking currently entered in the holiday modal
+function holidayFormBooking() {
+  return {
+    holiday_id: document.getElementById('holiday-id').value || null,
+    employee_id: document.getElementById('holiday-employee').value,
+    start_date: document.getElementById('holiday-start').value,
+    end_date: document.getElementById('holiday-end').value,
+    type: document.getElementById('holiday-type').value,
+    ...getHolidayPortion()
+  };
+}
+
+// Ask the server about overlaps and department clashes before the booking is saved
+async function checkHolidayBooking() {
+  const data = holidayFormBooking();
+
+  if (!data.employee_id || !data.start_date || !data.end_date) {
+    document.getElementById('holiday-booking-check').innerHTML = '';
+    return;
+  }
+
+  try {
+    const result = await api('/holidays/check', { method: 'POST', body: JSON.stringify(data) });
+    renderBookingCheck(result);
+  } catch {
+    document.getElementById('holiday-booking-check').innerHTML = '';
+  }
+}
+
+function renderBookingCheck(result) {
+  const container = document.getElementById('holiday-booking-check');
+  let html = '';
+
+  if (result.days) {
+    html += `<div class="info-box booking-length">This booking: <strong>${result.days}</strong> day(s), ${result.leave_hours} hours</div>`;
+  }
+
+  (result.blackouts || []).forEach(b => {
+    html += `<div class="error-box">No leave can be booked during ${b.name}: ${formatDate(b.start_date)} - ${formatDate(b.end_date)}</div>`;
+  });
+
+  (result.conflicts || []).forEach(c => {
+    html += `<div class="error-box">Overlaps existing ${leaveTypeName(c.type)} (${c.status}): ${formatDate(c.start_date)} - ${formatDate(c.end_date)}</div>`;
+  });
+
+  (result.warnings || []).forEach(w => {
+    if (w.code === 'DEPARTMENT_CLASH') {
+      html += `<div class="warning-box">${formatDate(w.date)}: ${w.absent_count} people in ${w.department_name} already off (${w.employees.join(', ')})</div>`;
+    }
+  });
+
+  (result.shortfalls || []).forEach(s => {
+    const boxClass = s.enforcement === 'block' ? 'error-box' : 'warning-box';
+    html += `<div class="${boxClass}">${formatDate(s.date)}: ${s.department_name} would have ${s.present} in (minimum ${s.min_present})</div>`;
+  });
+
+  // Managers can book through policy rules with an override reason; employees can't
+  const canOverride = ['admin', 'manager'].includes(currentUser.role);
+  (result.policy_violations || []).forEach(v => {
+    html += `<div class="${canOverride ? 'warning-box' : 'error-box'}">${v.message}${canOverride ? ' (give an override reason to book anyway)' : ''}</div>`;
+  });
+
+  if (result.cap_exceeded) {
+    const cap = result.cap_exceeded;
+    html += `<div class="error-box">${cap.type_name} is limited to ${cap.cap} days a year; ${cap.taken} already taken or requested, this booking is ${cap.requested}</div>`;
+  }
+
+  container.innerHTML = html;
+}
+
+// Half days and hours. A booking over several days can start in the afternoon and end at midday;
+// morning-only and hours only make sense for a single day.
+function syncHolidayPortionFields() {
+  const start = document.getElementById('holiday-start').value;
+  const end = document.getElementById('holiday-end').value;
+  const startHalf = document.getElementById('holiday-start-half');
+  const singleDay = !end || start === end;
+
+  startHalf.querySelectorAll('option[value="AM"], option[value="hours"]').forEach(option => {
+    option.disabled = !singleDay;
+  });
+  if (!singleDay && ['AM', 'hours'].includes(startHalf.value)) {
+    startHalf.value = '';
+  }
+  if (singleDay) {
+    document.getElementById('holiday-end-half').value = '';
+  }
+
+  document.getElementById('holiday-start-half-label').textContent = singleDay ? 'Duration' : 'First Day';
+  document.getElementById('holiday-end-half-group').style.display = singleDay ? 'none' : 'block';
+  document.getElementById('holiday-hours-group').style.display = startHalf.value === 'hours' ? 'block' : 'none';
+}
+
+function getHolidayPortion() {
+  const startHalf = document.getElementById('holiday-start-half').value;
+  return {
+    start_half_day: ['AM', 'PM'].includes(startHalf) ? startHalf : null,
+    end_half_day: document.getElementById('holiday-end-half').value || null,
+    hours: startHalf === 'hours' ? parseFloat(document.getElementById('holiday-hours').value) || null : null
+  };
+}
+
+// Default the end date to the start date for single-day bookings
 document.getElementById('holiday-start').addEventListener('change', function() {
-  if (document.getElementById('holiday-half-day').checked) {
-    document.getElementById('holiday-end').value = this.value;
+  const endInput = document.getElementById('holiday-end');
+  if (!endInput.value || endInput.value < this.value) {
+    endInput.value = this.value;
   }
 });
 
+['holiday-start', 'holiday-end', 'holiday-start-half'].forEach(id => {
+  document.getElementById(id).addEventListener('change', syncHolidayPortionFields);
+});
+
+document.getElementById('holiday-employee').addEventListener('change', checkHolidayBooking);
+document.getElementById('holiday-start').addEventListener('change', checkHolidayBooking);
+document.getElementById('holiday-end').addEventListener('change', checkHolidayBooking);
+document.getElementById('holiday-start-half').addEventListener('change', checkHolidayBooking);
+document.getElementById('holiday-end-half').addEventListener('change', checkHolidayBooking);
+document.getElementById('holiday-hours').addEventListener('change', checkHolidayBooking);
+document.getElementById('holiday-type').addEventListener('change', checkHolidayBooking);
+document.getElementById('holiday-type').addEventListener('change', syncFitNoteField);
+
+// The allowance box forecasts the year-end balance with the booking as entered
+['holiday-start', 'holiday-end', 'holiday-start-half', 'holiday-end-half', 'holiday-hours', 'holiday-type'].forEach(id => {
+  document.getElementById(id).addEventListener('change', updateHolidayAllowanceInfo);
+});
+
+// The fit note flag only applies to sickness absence
+function syncFitNoteField() {
+  const sickness = isSicknessType(document.getElementById('holiday-type').value);
+  document.getElementById('holiday-fit-note-group').style.display = sickness ? '' : 'none';
+}
+
 async function updateHolidayAllowanceInfo() {
-  const employeeId = document.getElementById('holiday-employee').value;
+  const booking = holidayFormBooking();
   const infoBox = document.getElementById('holiday-allowance-info');
 
-  if (!employeeId) {
+  if (!booking.employee_id) {
     infoBox.innerHTML = '';
     return;
   }
 
   try {
-    const summary = await api(`/holidays/summary/${employeeId}`);
+    const summary = await api('/holidays/forecast', { method: 'POST', body: JSON.stringify(booking) });
+    const unit = summary.unit;
     infoBox.innerHTML = `
-      Allowance: <strong>${summary.allowance}</strong> days |
-      Used: <strong>${summary.used}</strong> days |
-      Remaining: <strong>${summary.remaining}</strong> days
+      <strong>${summary.year_label}</strong> |
+      Entitled: <strong>${summary.entitled}</strong> ${unit}${summary.entitled !== summary.allowance ? ` (of ${summary.allowance})` : ''} |
+      ${summary.carried_over ? `Carried over: <strong>${summary.carried_remaining}</strong> of ${summary.carried_over} ${unit}${summary.carry_over_expires ? ` (expire ${formatDate(summary.carry_over_expires)})` : ''} |` : ''}
+      ${summary.accrual_mode === 'monthly' ? `Accrued: <strong>${summary.accrued}</strong> ${unit} |` : ''}
+      ${summary.adjustments ? `Adjustments: <strong>${summary.adjustments > 0 ? '+' : ''}${summary.adjustments}</strong> ${unit} |` : ''}
+      Used: <strong>${summary.used}</strong> ${unit} |
+      Booked: <strong>${summary.booked}</strong> ${unit} |
+      Pending: <strong>${summary.pending}</strong> ${unit} |
+      Remaining: <strong>${summary.remaining}</strong> ${unit}${summary.in_days ? ` (${summary.in_days.remaining} days at ${summary.hours_per_day} hours)` : ''}
+      <br>
+      ${summary.proposed ? `This booking: <strong>${summary.proposed}</strong> ${unit} |` : ''}
+      Year end${summary.proposed ? ' after this booking' : ''}: <strong>${summary.projected_remaining}</strong> ${unit}
+      ${summary.projected_lapsed ? `(${summary.projected_lapsed} carried ${unit} lapse unused)` : ''}
+      ${summary.over_carry_cap ? `<br>${summary.over_carry_cap} day(s) above the carry-over cap of ${summary.carry_over_cap} would be lost` : ''}
     `;
   } catch {
     infoBox.innerHTML = '';
   }
 }
 
+document.getElementById('export-holidays-btn').addEventListener('click', () => {
+  const employeeId = document.getElementById('holiday-employee-filter').value;
+  const year = document.getElementById('holiday-year-filter').value;
+  const status = document.getElementById('holiday-status-filter').value;
+
+  let url = '/api/holidays/export?';
+  if (employeeId) url += `employee_id=${employeeId}&`;
+  if (status) url += `status=${status}&`;
+  if (year) url += `year=${year}`;
+
+  window.location.href = url;
+});
+
 document.getElementById('holiday-employee-filter').addEventListener('change', loadHolidays);
+document.getElementById('holiday-status-filter').addEventListener('change', loadHolidays);
 document.getElementById('holiday-year-filter').addEventListener('change', loadHolidays);
 
 // Calendar
@@ -649,18 +1322,33 @@ async function renderCalendar() {
   const daysInPrevMonth = new Date(year, month, 0).getDate();
 
   // Load holidays and public holidays for this month
-  const [monthHolidays, publicHolidaysData] = await Promise.all([
+  const monthStart = `${year}-${String(month + 1).padStart(2, '0')}-01`;
+  const monthEnd = `${year}-${String(month + 1).padStart(2, '0')}-${String(daysInMonth).padStart(2, '0')}`;
+
+  // One calendar's public holidays, or every calendar's when showing everyone
+  const calendarFilter = parseInt(document.getElementById('calendar-region-filter').value) || null;
+  const shownCalendars = holidayCalendars.filter(c => !calendarFilter || c.id === calendarFilter);
+
+  const [allMonthHolidays, publicHolidaysData, shortfalls, closures, blackouts] = await Promise.all([
     api(`/holidays?year=${year}&month=${month + 1}`),
-    api(`/public-holidays/${year}`)
+    Promise.all(shownCalendars.map(c => api(`/public-holidays/${year}?calendar_id=${c.id}`))),
+    api(`/staffing/shortfalls?start_date=${monthStart}&end_date=${monthEnd}`),
+    api('/closures'),
+    api('/blackouts')
   ]);
 
-  // Create a map of public holidays for quick lookup
+  // Public holidays by date, and by calendar so each person's leave skips their own public holidays
   const publicHolidayMap = {};
-  if (publicHolidaysData && publicHolidaysData.holidays) {
-    publicHolidaysData.holidays.forEach(h => {
-      publicHolidayMap[h.date] = h.name;
+  const calendarDates = {};
+  publicHolidaysData.forEach(data => {
+    calendarDates[data.calendar_id] = new Set(data.holidays.map(h => h.date));
+    data.holidays.forEach(h => {
+      const name = shownCalendars.length > 1 ? `${h.name} (${holidayCalendarName(data.calendar_id)})` : h.name;
+      publicHolidayMap[h.date] = publicHolidayMap[h.date] ? `${publicHolidayMap[h.date]}, ${name}` : name;
     });
-  }
+  });
+  const employeeCalendar = employeeId => (employees.find(e => e.id === employeeId) || {}).effective_holiday_calendar_id;
+  const monthHolidays = allMonthHolidays.filter(h => !calendarFilter || employeeCalendar(h.employee_id) === calendarFilter);
 
   let html = '';
   const today = new Date();
@@ -678,25 +1366,38 @@ async function renderCalendar() {
     const isToday = date.toDateString() === today.toDateString();
     const isWeekend = date.getDay() === 0 || date.getDay() === 6;
     const publicHoliday = publicHolidayMap[dateStr];
+    const dayShortfalls = shortfalls.filter(s => s.date === dateStr);
+    const closure = closures.find(c => c.start_date <= dateStr && c.end_date >= dateStr);
+    const blackout = blackouts.find(b => b.start_date <= dateStr && b.end_date >= dateStr);
 
-    // Find employee holidays for this day
+    // Find employee holidays for this day (leave booked by a closure is shown once, as the closure,
+    // and nobody is shown as off on their own public holidays)
     const dayHolidays = monthHolidays.filter(h => {
       const start = new Date(h.start_date);
       const end = new Date(h.end_date);
-      return date >= start && date <= end;
+      const ownPublicHolidays = calendarDates[employeeCalendar(h.employee_id)];
+      return !h.closure_id && date >= start && date <= end && !(ownPublicHolidays && ownPublicHolidays.has(dateStr));
     });
 
     let classes = 'calendar-day';
     if (isToday) classes += ' today';
     if (isWeekend) classes += ' weekend';
     if (publicHoliday) classes += ' public-holiday';
+    if (closure) classes += ' closure';
+    if (blackout) classes += ' blackout';
+    if (dayShortfalls.length > 0) classes += ' understaffed';
 
     html += `
       <div class="${classes}">
         <div class="day-number">${day}</div>
         ${publicHoliday ? `<div class="holiday-event public" title="${publicHoliday}">${publicHoliday}</div>` : ''}
+        ${blackout ? `<div class="holiday-event blackout" title="No leave: ${blackout.name} (${scopeDepartmentNames(blackout)})">${blackout.name}</div>` : ''}
+        ${closure ? `<div class="holiday-event closure" title="${closure.name}${closure.department_ids ? ` (${scopeDepartmentNames(scope)})` : ''}">${closure.name}</div>` : ''}
+        ${dayShortfalls.map(s => `
+          <div class="holiday-event understaffed" title="${s.department_name}: ${s.present} in, minimum ${s.min_present}">${s.department_name} ${s.present}/${s.min_present}</div>
+        `).join('')}
         ${dayHolidays.slice(0, publicHoliday ? 2 : 3).map(h => `
-          <div class="holiday-event ${h.type}" title="${h.employee_name}">${h.employee_name}</div>
+          <div class="holiday-event ${h.type}" ${leaveTypeStyle(h.type)} title="${h.employee_name} (${leaveTypeName(h.type)})">${h.employee_name}${holidayDayPortion(h, dateStr) ? ` (${holidayDayPortion(h, dateStr)})` : ''}</div>
         `).join('')}
         ${dayHolidays.length > (publicHoliday ? 2 : 3) ? `<div class="holiday-event other">+${dayHolidays.length - (publicHoliday ? 2 : 3)} more</div>` : ''}
       </div>
@@ -713,6 +1414,8 @@ async function renderCalendar() {
   grid.innerHTML = html;
 }
 
+document.getElementById('calendar-region-filter').addEventListener('change', renderCalendar);
+
 document.getElementById('prev-month').addEventListener('click', () => {
   currentCalendarDate.setMonth(currentCalendarDate.getMonth() - 1);
   renderCalendar();
@@ -728,7 +1431,13 @@ document.getElementById('refresh-public-holidays-btn').addEventListener('click',
   const btn = document.getElementById('refresh-public-holidays-btn');
   const originalText = btn.textContent;
 
-  if (!confirm('This will fetch the latest public holidays for Ireland from an online source. Continue?')) {
+  const calendarId = parseInt(document.getElementById('calendar-region-filter').value) || null;
+  const calendar = holidayCalendars.find(c => calendarId ? c.id === calendarId : c.is_default);
+  if (!calendar) return;
+
+  const settings = await api('/settings');
+  const from = settings.publicHolidaySource === 'rules' ? 'the built-in holiday rules' : 'an online source';
+  if (!confirm(`This will update the public holidays for ${calendar.name} from ${from}. Holidays added by hand are kept. Continue?`)) {
     return;
   }
 
@@ -738,14 +1447,17 @@ document.getElementById('refresh-public-holidays-btn').addEventListener('click',
 
     const result = await api('/public-holidays/refresh', {
       method: 'POST',
-      body: JSON.stringify({ country: 'IE' })
+      body: JSON.stringify({ calendar_id: calendar.id })
     });
 
     alert(`Public holidays refreshed successfully!\n${result.count} holidays loaded for years: ${result.years.join(', ')}`);
+    loadHolidayCalendars();
     renderCalendar();
+    if (result.recalculate) reviewLeaveRecalculation(result.recalculate);
   } catch (err) {
     alert('Failed to refresh public holidays: ' + err.message);
   } finally {
+    loadHolidayRefreshes();
     btn.disabled = false;
     btn.textContent = originalText;
   }
@@ -775,6 +1487,19 @@ async function loadTimesheet() {
       <span>Overtime: <strong>${overtimeHours.toFixed(1)}</strong></span>
       <span>Entries: <strong>${timeEntries.length}</strong></span>
     `;
+
+    // Expected hours from working patterns need a date range
+    if (startDate && endDate) {
+      let expectedUrl = `/timesheet/expected-hours?start_date=${startDate}&end_date=${endDate}`;
+      if (employeeId) expectedUrl += `&employee_id=${employeeId}`;
+      const expected = await api(expectedUrl);
+      const expectedHours = expected.reduce((sum, r) => sum + r.expected_hours, 0);
+      const difference = expected.reduce((sum, r) => sum + r.difference, 0);
+      summary.innerHTML += `
+        <span>Expected: <strong>${expectedHours.toFixed(1)}</strong></span>
+        <span>Difference: <strong>${difference >= 0 ? '+' : ''}${difference.toFixed(1)}</strong></span>
+      `;
+    }
   } catch (err) {
     console.error('Failed to load timesheet:', err);
   }
@@ -943,13 +1668,926 @@ document.getElementById('user-form').addEventListener('submit', async (e) => {
   }
 });
 
-// Helpers
-function formatDate(dateStr) {
-  if (!dateStr) return '-';
-  const date = new Date(dateStr);
+// Leave types
+async function loadLeaveTypes() {
+  try {
+    leaveTypes = await api('/leave-types');
+    populateLeaveTypeSelect();
+    renderLeaveTypeLegend();
+    if (currentUser.role === 'admin') renderLeaveTypesTable();
+  } catch (err) {
+    console.error('Failed to load leave types:', err);
+  }
+}
+
+function leaveTypeName(code) {
+  const type = leaveTypes.find(t => t.code === code);
+  return type ? type.name : code;
+}
+
+function isSicknessType(code) {
+  const type = leaveTypes.find(t => t.code === code);
+  return !!(type && type.sickness);
+}
+
+function leaveTypeStyle(code) {
+  const type = leaveTypes.find(t => t.code === code);
+  return type && type.color ? `style="background: ${type.color}"` : '';
+}
+
+function leaveTypeBadge(code) {
+  return `<span class="badge ${code}" ${leaveTypeStyle(code)}>${leaveTypeName(code)}</span>`;
+}
+
+// Active types only, plus the booking's current type when editing one that has since been deactivated
+function populateLeaveTypeSelect(currentCode = null) {
+  const select = document.getElementById('holiday-type');
+  select.innerHTML = leaveTypes
+    .filter(t => t.active || t.code === currentCode)
+    .map(t => `<option value="${t.code}">${t.name}</option>`)
+    .join('');
+}
+
+function renderLeaveTypeLegend() {
+  document.getElementById('leave-type-legend').innerHTML = leaveTypes
+    .filter(t => t.active)
+    .map(t => `<span><span class="legend-dot ${t.code}" ${leaveTypeStyle(t.code)}></span> ${t.name}</span>`)
+    .join('');
+}
+
+// Short summary of a leave type's booking rules for the settings table
+function leaveTypeRules(t) {
+  const rules = [];
+  if (t.notice_days) rules.push(`${t.notice_days}d notice`);
+  if (t.max_consecutive_days) rules.push(`max ${t.max_consecutive_days}d`);
+  if (t.max_months_ahead) rules.push(`${t.max_months_ahead}m ahead`);
+  if (t.allow_past_dates) rules.push('past dates');
+  if (t.sickness) rules.push('sickness');
+  return rules.length > 0 ? rules.join(', ') : '-';
+}
+
+function renderLeaveTypesTable() {
+  const tbody = document.querySelector('#leave-types-table tbody');
+
+  tbody.innerHTML = leaveTypes.map(t => `
+    <tr>
+      <td>${leaveTypeBadge(t.code)}</td>
+      <td>${t.code}</td>
+      <td>${t.deducts_allowance ? 'Yes' : 'No'}</td>
+      <td>${t.requires_approval ? 'Required' : 'Automatic'}</td>
+      <td>${t.paid ? 'Paid' : 'Unpaid'}</td>
+      <td>${t.yearly_cap !== null ? `${t.yearly_cap} days` : '-'}</td>
+      <td>${leaveTypeRules(t)}</td>
+      <td><span class="badge ${t.active ? 'active' : 'inactive'}">${t.active ? 'active' : 'inactive'}</span></td>
+      <td class="actions">
+        <button class="btn btn-sm" onclick="editLeaveType(${t.id})">Edit</button>
+        <button class="btn btn-sm btn-danger" onclick="deleteLeaveType(${t.id})">Delete</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+document.getElementById('add-leave-type-btn').addEventListener('click', () => {
+  document.getElementById('leave-type-modal-title').textContent = 'Add Leave Type';
+  document.getElementById('leave-type-form').reset();
+  document.getElementById('leave-type-id').value = '';
+  document.getElementById('leave-type-code').disabled = false;
+  openModal('leave-type-modal');
+});
+
+function editLeaveType(id) {
+  const type = leaveTypes.find(t => t.id === id);
+  if (!type) return;
+
+  document.getElementById('leave-type-modal-title').textContent = 'Edit Leave Type';
+  document.getElementById('leave-type-id').value = type.id;
+  document.getElementById('leave-type-name').value = type.name;
+  document.getElementById('leave-type-code').value = type.code;
+  document.getElementById('leave-type-code').disabled = true;
+  document.getElementById('leave-type-color').value = type.color || '#e5e7eb';
+  document.getElementById('leave-type-cap').value = type.yearly_cap ?? '';
+  document.getElementById('leave-type-notice').value = type.notice_days ?? '';
+  document.getElementById('leave-type-max-consecutive').value = type.max_consecutive_days ?? '';
+  document.getElementById('leave-type-months-ahead').value = type.max_months_ahead ?? '';
+  document.getElementById('leave-type-allow-past').checked = type.allow_past_dates;
+  document.getElementById('leave-type-sickness').checked = type.sickness;
+  document.getElementById('leave-type-deducts').checked = type.deducts_allowance;
+  document.getElementById('leave-type-approval').checked = type.requires_approval;
+  document.getElementById('leave-type-paid').checked = type.paid;
+  document.getElementById('leave-type-active').checked = type.active;
+  openModal('leave-type-modal');
+}
+
+async function deleteLeaveType(id) {
+  if (!confirm('Are you sure you want to delete this leave type?')) return;
+
+  try {
+    await api(`/leave-types/${id}`, { method: 'DELETE' });
+    loadLeaveTypes();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('leave-type-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const id = document.getElementById('leave-type-id').value;
+  const data = {
+    name: document.getElementById('leave-type-name').value,
+    code: document.getElementById('leave-type-code').value,
+    color: document.getElementById('leave-type-color').value,
+    yearly_cap: document.getElementById('leave-type-cap').value || null,
+    notice_days: document.getElementById('leave-type-notice').value || null,
+    max_consecutive_days: document.getElementById('leave-type-max-consecutive').value || null,
+    max_months_ahead: document.getElementById('leave-type-months-ahead').value || null,
+    allow_past_dates: document.getElementById('leave-type-allow-past').checked,
+    sickness: document.getElementById('leave-type-sickness').checked,
+    deducts_allowance: document.getElementById('leave-type-deducts').checked,
+    requires_approval: document.getElementById('leave-type-approval').checked,
+    paid: document.getElementById('leave-type-paid').checked,
+    active: document.getElementById('leave-type-active').checked
+  };
+
+  try {
+    if (id) {
+      await api(`/leave-types/${id}`, { method: 'PUT', body: JSON.stringify(data) });
+    } else {
+      await api('/leave-types', { method: 'POST', body: JSON.stringify(data) });
+    }
+    closeModal('leave-type-modal');
+    loadLeaveTypes();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// Company closures and blackout periods
+function scopeDepartmentNames(scope) {
+  if (!scope.department_ids) return 'Everyone';
+  return scope.department_ids
+    .map(id => (departments.find(d => d.id === id) || {}).name || `#${id}`)
+    .join(', ');
+}
+
+function renderCheckboxList(containerId, options) {
+  document.getElementById(containerId).innerHTML = options.map(o => `
+    <label class="checkbox-label">
+      <input type="checkbox" value="${o.value}"> ${o.label}
+    </label>
+  `).join('');
+}
+
+function checkedValues(containerId) {
+  return [...document.querySelectorAll(`#${containerId} input:checked`)].map(input => input.value);
+}
+
+async function loadClosures() {
+  const tbody = document.querySelector('#closures-table tbody');
+
+  try {
+    const closures = await api('/closures');
+    if (closures.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No company closures</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = closures.map(c => `
+      <tr>
+        <td>${c.name}</td>
+        <td>${formatDate(c.start_date)} - ${formatDate(c.end_date)}</td>
+        <td>${scopeDepartmentNames(c)}</td>
+        <td>${c.mode === 'deduct' ? `${leaveTypeName(c.leave_type)} (${c.bookings} employees)` : 'Non-working days'}</td>
+        <td class="actions">
+          <button class="btn btn-sm btn-danger" onclick="deleteClosure(${c.id})">Delete</button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error('Failed to load closures:', err);
+  }
+}
+
+async function deleteClosure(id) {
+  if (!confirm('Delete this closure? Leave it booked will be removed and balances restored.')) return;
+
+  try {
+    await api(`/closures/${id}`, { method: 'DELETE' });
+    loadClosures();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+function syncClosureModeFields() {
+  const deduct = document.getElementById('closure-mode').value === 'deduct';
+  document.getElementById('closure-leave-type-group').style.display = deduct ? '' : 'none';
+}
+
+document.getElementById('closure-mode').addEventListener('change', syncClosureModeFields);
+
+document.getElementById('add-closure-btn').addEventListener('click', () => {
+  document.getElementById('closure-form').reset();
+  document.getElementById('closure-leave-type').innerHTML = leaveTypes
+    .filter(t => t.active)
+    .map(t => `<option value="${t.code}" ${t.code === 'annual' ? 'selected' : ''}>${t.name}</option>`)
+    .join('');
+  renderCheckboxList('closure-departments', departments.map(d => ({ value: d.id, label: d.name })));
+  syncClosureModeFields();
+  openModal('closure-modal');
+});
+
+document.getElementById('closure-start').addEventListener('change', (e) => {
+  const endInput = document.getElementById('closure-end');
+  if (!endInput.value || endInput.value < e.target.value) endInput.value = e.target.value;
+});
+
+document.getElementById('closure-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const mode = document.getElementById('closure-mode').value;
+  const data = {
+    name: document.getElementById('closure-name').value,
+    start_date: document.getElementById('closure-start').value,
+    end_date: document.getElementById('closure-end').value,
+    mode,
+    leave_type: mode === 'deduct' ? document.getElementById('closure-leave-type').value : null,
+    department_ids: checkedValues('closure-departments').map(id => parseInt(id))
+  };
+
+  try {
+    await api('/closures', { method: 'POST', body: JSON.stringify(data) });
+    closeModal('closure-modal');
+    loadClosures();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+async function loadBlackouts() {
+  const tbody = document.querySelector('#blackouts-table tbody');
+
+  try {
+    const blackouts = await api('/blackouts');
+    if (blackouts.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No blackout periods</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = blackouts.map(b => `
+      <tr>
+        <td>${b.name}</td>
+        <td>${formatDate(b.start_date)} - ${formatDate(b.end_date)}</td>
+        <td>${scopeDepartmentNames(b)}</td>
+        <td>${b.exempt_types.length > 0 ? b.exempt_types.map(leaveTypeName).join(', ') : '-'}</td>
+        <td class="actions">
+          <button class="btn btn-sm btn-danger" onclick="deleteBlackout(${b.id})">Delete</button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error('Failed to load blackouts:', err);
+  }
+}
+
+async function deleteBlackout(id) {
+  if (!confirm('Delete this blackout period?')) return;
+
+  try {
+    await api(`/blackouts/${id}`, { method: 'DELETE' });
+    loadBlackouts();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('add-blackout-btn').addEventListener('click', () => {
+  document.getElementById('blackout-form').reset();
+  renderCheckboxList('blackout-departments', departments.map(d => ({ value: d.id, label: d.name })));
+  renderCheckboxList('blackout-exempt-types', leaveTypes.filter(t => t.active).map(t => ({ value: t.code, label: t.name })));
+  openModal('blackout-modal');
+});
+
+document.getElementById('blackout-start').addEventListener('change', (e) => {
+  const endInput = document.getElementById('blackout-end');
+  if (!endInput.value || endInput.value < e.target.value) endInput.value = e.target.value;
+});
+
+document.getElementById('blackout-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const data = {
+    name: document.getElementById('blackout-name').value,
+    start_date: document.getElementById('blackout-start').value,
+    end_date: document.getElementById('blackout-end').value,
+    department_ids: checkedValues('blackout-departments').map(id => parseInt(id)),
+    exempt_types: checkedValues('blackout-exempt-types')
+  };
+
+  try {
+    await api('/blackouts', { method: 'POST', body: JSON.stringify(data) });
+    closeModal('blackout-modal');
+    loadBlackouts();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// Public holiday calendars
+async function loadHolidayCalendars() {
+  try {
+    holidayCalendars = await api('/holiday-calendars');
+  } catch (err) {
+    console.error('Failed to load holiday calendars:', err);
+    return;
+  }
+
+  const filter = document.getElementById('calendar-region-filter');
+  const currentValue = filter.value;
+  filter.innerHTML = '<option value="">All Calendars</option>' +
+    holidayCalendars.map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+  filter.value = currentValue;
+
+  const tbody = document.querySelector('#holiday-calendars-table tbody');
+  tbody.innerHTML = holidayCalendars.map(c => `
+    <tr>
+      <td>${c.name}${c.is_default ? ' <span class="badge">Default</span>' : ''}${c.pending_recalculation ? ' <span class="badge pending" title="Public holidays have changed since booked leave was worked out">Leave to recalculate</span>' : ''}</td>
+      <td>${c.country}${c.subdivision ? ` (${c.subdivision})` : ''}</td>
+      <td>${c.is_default ? 'Everyone else' : `${c.department_count} department(s), ${c.employee_count} employee(s)`}</td>
+      <td>${c.holiday_count}${c.last_updated ? ` <small>(updated ${formatDate(c.last_updated.split('T')[0])})</small>` : ''}</td>
+      <td class="actions">
+        <button class="btn btn-sm" onclick="openPublicHolidays(${c.id})">Holidays</button>
+        <button class="btn btn-sm${c.pending_recalculation ? ' btn-primary' : ''}" onclick="checkCalendarLeave(${c.id})" title="Check booked leave against these public holidays">Check Leave</button>
+        <button class="btn btn-sm" onclick="openHolidayCalendarModal(${c.id})">Edit</button>
+        ${c.is_default ? '' : `<button class="btn btn-sm btn-danger" onclick="deleteHolidayCalendar(${c.id})">Delete</button>`}
+      </td>
+    </tr>
+  `).join('');
+  renderDepartmentsTable();
+}
+
+async function loadHolidayRefreshes() {
+  const tbody = document.querySelector('#holiday-refreshes-table tbody');
+
+  try {
+    const refreshes = await api('/public-holidays/refreshes?limit=20');
+    if (refreshes.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No refreshes yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = refreshes.map(r => `
+      <tr>
+        <td>${formatDate(r.created_at)} <small>${new Date(r.created_at).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}</small></td>
+        <td>${r.calendar_name || `#${r.calendar_id}`}</td>
+        <td>${r.source === 'rules' ? 'Built-in rules' : 'Online'}</td>
+        <td>${r.trigger_type === 'scheduled' ? 'Automatic' : (r.requested_by_email || '-')}</td>
+        <td>${r.years.join(', ')}</td>
+        <td>${r.status === 'success'
+          ? `<span class="badge approved">${r.added} loaded</span>${r.skipped ? ` <small>${r.skipped} skipped</small>` : ''}`
+          : `<span class="badge rejected">failed</span> <small>${r.error}</small>`}</td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error('Failed to load public holiday refreshes:', err);
+  }
+}
+
+// Bookings whose days would change after a calendar's public holidays changed, for the admin to confirm.
+// Nothing is shown if no booking is affected, unless `reportNone` is set.
+let pendingLeaveRecalculation = null;
+
+async function reviewLeaveRecalculation(range, reportNone = false) {
+  try {
+    const preview = await api('/public-holidays/recalculate', {
+      method: 'POST',
+      body: JSON.stringify({ ...range, dry_run: true })
+    });
+    if (preview.employees.length === 0) {
+      if (reportNone) alert('Booked leave already matches these public holidays.');
+      loadHolidayCalendars();
+      return;
+    }
+
+    pendingLeaveRecalculation = range;
+    document.getElementById('leave-recalculation-summary').textContent =
+      `The public holidays in ${holidayCalendarName(preview.calendar_id)} have changed for ${preview.bookings} booking(s) ` +
+      `between ${formatDate(preview.start_date)} and ${formatDate(preview.end_date)}. Recalculate them now?`;
+    document.querySelector('#leave-recalculation-table tbody').innerHTML = preview.employees.map(e => `
+      <tr>
+        <td>${e.employee_name}</td>
+        <td>${e.bookings.map(b => `${leaveTypeBadge(b.type)} ${formatDate(b.start_date)} - ${formatDate(b.end_date)}: ${b.days} &rarr; <strong>${b.new_days}</strong> day(s)${b.status === 'pending' ? ' <small>(pending)</small>' : ''}`).join('<br>')}</td>
+        <td>${e.balance_changes.length === 0 ? '-' : e.balance_changes.map(c => {
+          const amount = e.leave_unit === 'hours' ? c.hours : c.days;
+          return `${amount > 0 ? '+' : ''}${amount} ${e.leave_unit} <small>(${c.year_label})</small>`;
+        }).join('<br>')}</td>
+      </tr>
+    `).join('');
+    openModal('leave-recalculation-modal');
+  } catch (err) {
+    alert('Failed to check booked leave: ' + err.message);
+  }
+}
+
+// Check a calendar's bookings over the dates still waiting to be recalculated or, if there are none, from the
+// start of this year to the end of next
+function checkCalendarLeave(calendarId) {
+  const calendar = holidayCalendars.find(c => c.id === calendarId);
+  const year = new Date().getFullYear();
+  reviewLeaveRecalculation(
+    calendar.pending_recalculation || { calendar_id: calendarId, start_date: `${year}-01-01`, end_date: `${year + 1}-12-31` },
+    true
+  );
+}
+
+document.getElementById('leave-recalculation-confirm-btn').addEventListener('click', async () => {
+  try {
+    const result = await api('/public-holidays/recalculate', {
+      method: 'POST',
+      body: JSON.stringify(pendingLeaveRecalculation)
+    });
+    closeModal('leave-recalculation-modal');
+    alert(`${result.bookings} booking(s) recalculated for ${result.employees.length} employee(s)`);
+    loadEmployees();
+    loadHolidayCalendars();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+function holidayCalendarName(id) {
+  return (holidayCalendars.find(c => c.id === id) || {}).name || `#${id}`;
+}
+
+function populateHolidayCalendarSelect(selectId, fallbackLabel, selectedId = null) {
+  const select = document.getElementById(selectId);
+  select.innerHTML = `<option value="">${fallbackLabel}</option>` +
+    holidayCalendars.map(c => `<option value="${c.id}" ${c.id === selectedId ? 'selected' : ''}>${c.name}</option>`).join('');
+}
+
+function openHolidayCalendarModal(id = null) {
+  const calendar = holidayCalendars.find(c => c.id === id);
+  document.getElementById('holiday-calendar-form').reset();
+  document.getElementById('holiday-calendar-modal-title').textContent = calendar ? 'Edit Holiday Calendar' : 'Add Holiday Calendar';
+  document.getElementById('holiday-calendar-id').value = calendar ? calendar.id : '';
+
+  if (calendar) {
+    document.getElementById('holiday-calendar-name').value = calendar.name;
+    document.getElementById('holiday-calendar-country').value = calendar.country_code;
+    document.getElementById('holiday-calendar-subdivision').value = calendar.subdivision || '';
+    document.getElementById('holiday-calendar-default').checked = calendar.is_default;
+    document.getElementById('holiday-calendar-default').disabled = calendar.is_default;
+  } else {
+    document.getElementById('holiday-calendar-default').disabled = true;
+  }
+  openModal('holiday-calendar-modal');
+}
+
+async function deleteHolidayCalendar(id) {
+  if (!confirm('Delete this calendar? Anyone using it moves to the default calendar.')) return;
+
+  try {
+    await api(`/holiday-calendars/${id}`, { method: 'DELETE' });
+    loadHolidayCalendars();
+    loadDepartments();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('add-holiday-calendar-btn').addEventListener('click', () => openHolidayCalendarModal());
+
+document.getElementById('holiday-calendar-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const id = document.getElementById('holiday-calendar-id').value;
+  const data = {
+    name: document.getElementById('holiday-calendar-name').value,
+    country_code: document.getElementById('holiday-calendar-country').value,
+    subdivision: document.getElementById('holiday-calendar-subdivision').value || null,
+    is_default: document.getElementById('holiday-calendar-default').checked
+  };
+
+  try {
+    if (id) {
+      await api(`/holiday-calendars/${id}`, { method: 'PUT', body: JSON.stringify(data) });
+    } else {
+      await api('/holiday-calendars', { method: 'POST', body: JSON.stringify(data) });
+    }
+    closeModal('holiday-calendar-modal');
+    loadHolidayCalendars();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+async function openPublicHolidays(calendarId) {
+  document.getElementById('public-holidays-modal-title').textContent = `Public Holidays - ${holidayCalendarName(calendarId)}`;
+  document.getElementById('public-holidays-calendar-id').value = calendarId;
+  document.getElementById('public-holiday-form').reset();
+
+  const currentYear = new Date().getFullYear();
+  document.getElementById('public-holidays-year').innerHTML = [currentYear + 1, currentYear, currentYear - 1]
+    .map(y => `<option value="${y}" ${y === currentYear ? 'selected' : ''}>${y}</option>`).join('');
+
+  await loadPublicHolidays();
+  openModal('public-holidays-modal');
+}
+
+async function loadPublicHolidays() {
+  const calendarId = document.getElementById('public-holidays-calendar-id').value;
+  const year = document.getElementById('public-holidays-year').value;
+  const tbody = document.querySelector('#public-holidays-table tbody');
+
+  try {
+    const data = await api(`/public-holidays/${year}?calendar_id=${calendarId}`);
+    if (data.holidays.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="empty-state">No public holidays</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = data.holidays.map(h => `
+      <tr>
+        <td>${formatDate(h.date)}</td>
+        <td>${h.name}${h.observed ? ' <small>(substitute day)</small>' : ''}</td>
+        <td><span class="badge ${h.source === 'manual' ? 'pending' : ''}">${h.source}</span></td>
+        <td class="actions">
+          <button class="btn btn-sm btn-danger" onclick="deletePublicHoliday(${h.id})">Delete</button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error('Failed to load public holidays:', err);
+  }
+}
+
+async function deletePublicHoliday(id) {
+  if (!confirm('Delete this public holiday?')) return;
+
+  try {
+    const result = await api(`/public-holidays/${id}`, { method: 'DELETE' });
+    loadPublicHolidays();
+    loadHolidayCalendars();
+    reviewLeaveRecalculation(result.recalculate);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('public-holidays-year').addEventListener('change', loadPublicHolidays);
+
+document.getElementById('public-holiday-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const data = {
+    calendar_id: parseInt(document.getElementById('public-holidays-calendar-id').value),
+    date: document.getElementById('public-holiday-date').value,
+    name: document.getElementById('public-holiday-name').value,
+    observed: document.getElementById('public-holiday-observed').checked
+  };
+
+  try {
+    const result = await api('/public-holidays', { method: 'POST', body: JSON.stringify(data) });
+    document.getElementById('public-holiday-form').reset();
+    loadPublicHolidays();
+    loadHolidayCalendars();
+    reviewLeaveRecalculation(result.recalculate);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// Entitlement tiers
+let entitlementTiers = [];
+
+async function loadEntitlementTiers() {
+  const tbody = document.querySelector('#tiers-table tbody');
+
+  try {
+    entitlementTiers = await api('/entitlement-tiers');
+    if (entitlementTiers.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No entitlement tiers</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = entitlementTiers.map(t => `
+      <tr>
+        <td>${t.name}</td>
+        <td>${t.min_years}+ years</td>
+        <td>${t.allowance} days</td>
+        <td>${scopeDepartmentNames(t)}</td>
+        <td>${t.contract_type ? CONTRACT_TYPE_NAMES[t.contract_type] : 'Any'}</td>
+        <td class="actions">
+          <button class="btn btn-sm" onclick="openTierModal(${t.id})">Edit</button>
+          <button class="btn btn-sm btn-danger" onclick="deleteEntitlementTier(${t.id})">Delete</button>
+        </td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error('Failed to load entitlement tiers:', err);
+  }
+}
+
+function openTierModal(id = null) {
+  const tier = entitlementTiers.find(t => t.id === id);
+  document.getElementById('tier-form').reset();
+  document.getElementById('tier-modal-title').textContent = tier ? 'Edit Entitlement Tier' : 'Add Entitlement Tier';
+  document.getElementById('tier-id').value = tier ? tier.id : '';
+  renderCheckboxList('tier-departments', departments.map(d => ({ value: d.id, label: d.name })));
+
+  if (tier) {
+    document.getElementById('tier-name').value = tier.name;
+    document.getElementById('tier-min-years').value = tier.min_years;
+    document.getElementById('tier-allowance').value = tier.allowance;
+    document.getElementById('tier-contract-type').value = tier.contract_type || '';
+    document.querySelectorAll('#tier-departments input').forEach(input => {
+      input.checked = (tier.department_ids || []).includes(parseInt(input.value));
+    });
+  }
+  openModal('tier-modal');
+}
+
+async function deleteEntitlementTier(id) {
+  if (!confirm('Delete this entitlement tier? Allowances already applied are not changed.')) return;
+
+  try {
+    await api(`/entitlement-tiers/${id}`, { method: 'DELETE' });
+    loadEntitlementTiers();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('add-tier-btn').addEventListener('click', () => openTierModal());
+
+document.getElementById('tier-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const id = document.getElementById('tier-id').value;
+  const data = {
+    name: document.getElementById('tier-name').value,
+    min_years: parseInt(document.getElementById('tier-min-years').value),
+    allowance: parseFloat(document.getElementById('tier-allowance').value),
+    department_ids: checkedValues('tier-departments').map(id => parseInt(id)),
+    contract_type: document.getElementById('tier-contract-type').value || null
+  };
+
+  try {
+    if (id) {
+      await api(`/entitlement-tiers/${id}`, { method: 'PUT', body: JSON.stringify(data) });
+    } else {
+      await api('/entitlement-tiers', { method: 'POST', body: JSON.stringify(data) });
+    }
+    closeModal('tier-modal');
+    loadEntitlementTiers();
+    loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// Sickness absence
+async function loadSickness() {
+  const employeeId = document.getElementById('sickness-employee-filter').value;
+  const asOfInput = document.getElementById('sickness-as-of');
+  if (!asOfInput.value) asOfInput.value = new Date().toISOString().split('T')[0];
+
+  let query = `as_of=${asOfInput.value}`;
+  if (employeeId) query += `&employee_id=${employeeId}`;
+  if (document.getElementById('sickness-over-trigger').checked) query += '&over_trigger=1';
+
+  try {
+    const bradford = await api(`/sickness/bradford?${query}`);
+    const spells = await api(`/sickness/spells?start_date=${bradford.window_start}&end_date=${bradford.as_of}${employeeId ? `&employee_id=${employeeId}` : ''}`);
+    renderBradfordReport(bradford);
+    renderSicknessSpells(spells);
+  } catch (err) {
+    console.error('Failed to load sickness absence:', err);
+  }
+}
+
+function renderBradfordReport(report) {
+  const container = document.getElementById('bradford-report');
+  document.getElementById('bradford-window').textContent =
+    `${formatDate(report.window_start)} - ${formatDate(report.as_of)}. Score = spells x spells x days.` +
+    (report.trigger_points.length > 0 ? ` Trigger points: ${report.trigger_points.join(', ')}.` : '');
+
+  if (report.employees.length === 0) {
+    container.innerHTML = '<p class="empty-state">No employees to show</p>';
+    return;
+  }
+
+  const highest = report.trigger_points[report.trigger_points.length - 1];
+  container.innerHTML = `<table>
+    <thead>
+      <tr>
+        <th>Employee</th>
+        <th>Department</th>
+        <th>Spells</th>
+        <th>Days</th>
+        <th>Score</th>
+        <th>Trigger</th>
+      </tr>
+    </thead>
+    <tbody>${report.employees.map(r => `
+      <tr>
+        <td>${r.employee_name}</td>
+        <td>${r.department_name || '-'}</td>
+        <td>${r.spells}</td>
+        <td>${r.days}</td>
+        <td>${r.score}</td>
+        <td>${r.trigger !== null
+          ? `<span class="badge ${r.trigger === highest ? 'danger' : 'warning'}">${r.trigger}+</span>`
+          : '-'}</td>
+      </tr>
+    `).join('')}</tbody>
+  </table>`;
+}
+
+function renderSicknessSpells(spells) {
+  const container = document.getElementById('sickness-spells');
+
+  if (spells.length === 0) {
+    container.innerHTML = '<p class="empty-state">No sickness absence in this period</p>';
+    return;
+  }
+
+  container.innerHTML = `<table>
+    <thead>
+      <tr>
+        <th>Employee</th>
+        <th>Dates</th>
+        <th>Days</th>
+        <th>Fit Note</th>
+        <th>Return to Work</th>
+        <th>Actions</th>
+      </tr>
+    </thead>
+    <tbody>${spells.map(s => `
+      <tr>
+        <td>${s.employee_name}</td>
+        <td>${formatDate(s.start_date)} - ${formatDate(s.end_date)}</td>
+        <td>${s.days}</td>
+        <td>${s.fit_note ? 'Yes' : 'No'}</td>
+        <td>${s.return_to_work_notes
+          ? `${s.return_to_work_notes}<br><small>${formatDate(s.return_to_work_at.split('T')[0])}</small>`
+          : '-'}</td>
+        <td class="actions">
+          <button class="btn btn-sm" onclick="recordReturnToWork(${s.last_holiday_id})">Return to Work</button>
+        </td>
+      </tr>
+    `).join('')}</tbody>
+  </table>`;
+}
+
+async function recordReturnToWork(holidayId) {
+  const notes = prompt('Return-to-work notes:');
+  if (!notes) return;
+
+  try {
+    await api(`/holidays/${holidayId}/return-to-work`, { method: 'POST', body: JSON.stringify({ notes }) });
+    loadSickness();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('sickness-employee-filter').addEventListener('change', loadSickness);
+document.getElementById('sickness-as-of').addEventListener('change', loadSickness);
+document.getElementById('sickness-over-trigger').addEventListener('change', loadSickness);
+
+// Settings
+async function loadSettings() {
+  loadLeaveTypes();
+  loadClosures();
+  loadBlackouts();
+  loadEntitlementTiers();
+  loadHolidayCalendars();
+  loadHolidayRefreshes();
+
+  try {
+    const settings = await api('/settings');
+    document.getElementById('settings-company-name').value = settings.companyName || '';
+    document.getElementById('settings-working-hours').value = settings.workingHoursPerDay;
+    document.getElementById('settings-absence-threshold').value = settings.departmentAbsenceThreshold;
+    document.getElementById('settings-accrual-mode').value = settings.accrualMode;
+    document.getElementById('settings-carry-over-max').value = settings.carryOverMaxDays;
+    document.getElementById('settings-default-allowance').value = settings.defaultHolidayAllowance;
+    document.getElementById('settings-carry-over-expiry').value = settings.carryOverExpiry || '';
+    document.getElementById('settings-bradford-triggers').value = settings.bradfordTriggers || '';
+    document.getElementById('settings-leave-year-basis').value = settings.leaveYearBasis;
+    document.getElementById('settings-leave-year-start').value = settings.leaveYearStart || '01-01';
+    document.getElementById('settings-public-holiday-source').value = settings.publicHolidaySource;
+    document.getElementById('settings-public-holiday-refresh-days').value = settings.publicHolidayRefreshDays || 0;
+
+    // Offer last leave year first, as that is the one normally being closed off
+    const leaveYears = await api('/leave-years');
+    const labels = Object.fromEntries(leaveYears.years.map(y => [y.year, y.label]));
+    document.getElementById('rollover-year').innerHTML = leaveYears.years
+      .filter(y => y.year <= leaveYears.current)
+      .map(y => `<option value="${y.year}" ${y.year === leaveYears.current - 1 ? 'selected' : ''}>${y.label} &rarr; ${labels[y.year + 1]}</option>`)
+      .join('');
+  } catch (err) {
+    console.error('Failed to load settings:', err);
+  }
+}
+
+document.getElementById('settings-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const data = {
+    companyName: document.getElementById('settings-company-name').value,
+    workingHoursPerDay: document.getElementById('settings-working-hours').value,
+    departmentAbsenceThreshold: parseInt(document.getElementById('settings-absence-threshold').value) || 0,
+    accrualMode: document.getElementById('settings-accrual-mode').value,
+    carryOverMaxDays: document.getElementById('settings-carry-over-max').value,
+    defaultHolidayAllowance: document.getElementById('settings-default-allowance').value,
+    carryOverExpiry: document.getElementById('settings-carry-over-expiry').value,
+    bradfordTriggers: document.getElementById('settings-bradford-triggers').value,
+    leaveYearBasis: document.getElementById('settings-leave-year-basis').value,
+    leaveYearStart: document.getElementById('settings-leave-year-start').value,
+    publicHolidaySource: document.getElementById('settings-public-holiday-source').value,
+    publicHolidayRefreshDays: document.getElementById('settings-public-holiday-refresh-days').value
+  };
+
+  try {
+    await api('/settings', { method: 'PUT', body: JSON.stringify(data) });
+    alert('Settings saved');
+    initYearFilter();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+async function runRollover(dryRun) {
+  const yearSelect = document.getElementById('rollover-year');
+  const year = yearSelect.value;
+  if (!dryRun && !confirm(`Carry unused leave from ${yearSelect.selectedOptions[0].textContent.replace('→', 'into')}?`)) return;
+
+  try {
+    const result = await api('/holidays/rollover', {
+      method: 'POST',
+      body: JSON.stringify({ year: parseInt(year), dry_run: dryRun })
+    });
+
+    const container = document.getElementById('rollover-results');
+    if (result.employees.length === 0) {
+      container.innerHTML = '<p class="empty-state">No active employees</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="card-text">${dryRun ? 'Preview' : 'Carried'} into ${result.to_year_label}${result.expires_on ? `, expiring ${formatDate(result.expires_on)}` : ''}</p>
+      <table>
+        <thead><tr><th>Employee</th><th>Unused</th><th>Cap</th><th>Carried</th><th>Allowance</th></tr></thead>
+        <tbody>${result.employees.map(r => `
+          <tr>
+            <td>${r.employee_name}</td>
+            <td>${r.unused}</td>
+            <td>${r.cap}</td>
+            <td><strong>${r.carried}</strong></td>
+            <td>${r.new_allowance !== r.allowance ? `${r.allowance} &rarr; <strong>${r.new_allowance}</strong>` : r.allowance}${r.entitlement_tier ? ` <small>(${r.entitlement_tier})</small>` : ''}</td>
+          </tr>
+        `).join('')}</tbody>
+      </table>`;
+    if (!dryRun) loadEmployees();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+document.getElementById('rollover-preview-btn').addEventListener('click', () => runRollover(true));
+document.getElementById('rollover-run-btn').addEventListener('click', () => runRollover(false));
+
+// Helpers
+function formatDate(dateStr) {
+  if (!dateStr) return '-';
+  const date = new Date(dateStr);
   return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
 }
 
+// Which part of a given day a booking covers: 'AM', 'PM', '3h', or '' for the whole day
+function holidayDayPortion(h, dateStr) {
+  if (h.hours) return `${h.hours}h`;
+  if (dateStr === h.start_date && h.start_half_day) return h.start_half_day;
+  if (dateStr === h.end_date && h.end_half_day) return h.end_half_day;
+  return '';
+}
+
+// Short description of a booking's half days or hours for tables
+function holidayPortionLabel(h) {
+  if (h.hours) return `${h.hours} hours`;
+  if (h.start_date === h.end_date) return h.start_half_day ? `${h.start_half_day} only` : '';
+  const parts = [];
+  if (h.start_half_day) parts.push(`from ${h.start_half_day}`);
+  if (h.end_half_day) parts.push(`until ${h.end_half_day}`);
+  return parts.join(', ');
+}
+
 // Login form
 document.getElementById('login-form').addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -970,5 +2608,4 @@ document.getElementById('login-form').addEventListener('submit', async (e) => {
 document.getElementById('logout-btn').addEventListener('click', logout);
 
 // Initialize
-initYearFilter();
 checkAuth();
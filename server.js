@@ -3,44 +3,1067 @@ const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const https = require('https');
 const { db, initDatabase } = require('./db');
+const holidayRules = require('./holidayRules');
+const holidayProviders = require('./holidayProviders');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'hr-system-secret-key-change-in-production';
 
-// Get public holidays as a Set of date strings for quick lookup
-async function getPublicHolidayDates() {
-  const result = await db.execute('SELECT holidays_json FROM public_holidays LIMIT 1');
-  if (result.rows.length > 0 && result.rows[0].holidays_json) {
-    const holidays = JSON.parse(result.rows[0].holidays_json);
-    return new Set(holidays.map(h => h.date));
+// Settings columns with their API field names and defaults
+const SETTINGS_FIELDS = {
+  company_name: { key: 'companyName', default: 'My Company' },
+  working_hours_per_day: { key: 'workingHoursPerDay', default: 8 },
+  department_absence_threshold: { key: 'departmentAbsenceThreshold', default: 2 },
+  accrual_mode: { key: 'accrualMode', default: 'upfront' },
+  carry_over_max_days: { key: 'carryOverMaxDays', default: 0 },
+  carry_over_expiry: { key: 'carryOverExpiry', default: null },
+  bradford_triggers: { key: 'bradfordTriggers', default: '51,201,401,651' },
+  leave_year_start: { key: 'leaveYearStart', default: '01-01' },
+  leave_year_basis: { key: 'leaveYearBasis', default: 'fixed' },
+  public_holiday_source: { key: 'publicHolidaySource', default: 'provider' },
+  public_holiday_refresh_days: { key: 'publicHolidayRefreshDays', default: 0 },
+  default_holiday_allowance: { key: 'defaultHolidayAllowance', default: 25 }
+};
+
+const LEAVE_YEAR_BASES = ['fixed', 'anniversary'];
+
+// Where refreshed public holidays come from: fetched online, or worked out by the built-in rules
+const PUBLIC_HOLIDAY_SOURCES = Object.keys(holidayProviders.PROVIDERS);
+
+// Leave types created on first start. Only annual leave comes out of the holiday allowance;
+// sick leave is recorded straight away without waiting for approval, can be entered after the fact,
+// and counts towards sickness absence (spells and Bradford Factor).
+const DEFAULT_LEAVE_TYPES = [
+  { code: 'annual', name: 'Annual Leave', deducts_allowance: 1, requires_approval: 1, paid: 1, color: '#dbeafe', yearly_cap: null, allow_past_dates: 0, sickness: 0 },
+  { code: 'sick', name: 'Sick Leave', deducts_allowance: 0, requires_approval: 0, paid: 1, color: '#fee2e2', yearly_cap: null, allow_past_dates: 1, sickness: 1 },
+  { code: 'compassionate', name: 'Compassionate Leave', deducts_allowance: 0, requires_approval: 1, paid: 1, color: '#ede9fe', yearly_cap: 5, allow_past_dates: 0, sickness: 0 },
+  { code: 'parental', name: 'Parental Leave', deducts_allowance: 0, requires_approval: 1, paid: 0, color: '#fce7f3', yearly_cap: null, allow_past_dates: 0, sickness: 0 },
+  { code: 'study', name: 'Study Leave', deducts_allowance: 0, requires_approval: 1, paid: 1, color: '#e0f2fe', yearly_cap: 5, allow_past_dates: 0, sickness: 0 },
+  { code: 'unpaid', name: 'Unpaid Leave', deducts_allowance: 0, requires_approval: 1, paid: 0, color: '#e5e7eb', yearly_cap: null, allow_past_dates: 0, sickness: 0 },
+  { code: 'toil', name: 'Time Off in Lieu', deducts_allowance: 0, requires_approval: 1, paid: 1, color: '#dcfce7', yearly_cap: null, allow_past_dates: 0, sickness: 0 },
+  { code: 'other', name: 'Other', deducts_allowance: 0, requires_approval: 1, paid: 1, color: '#fef3c7', yearly_cap: null, allow_past_dates: 0, sickness: 0 }
+];
+
+// How a company closure is applied: booked as leave for everyone it covers, or treated like a public holiday
+const CLOSURE_MODES = ['deduct', 'non_working'];
+
+// Units an employee's leave balance can be tracked in
+const LEAVE_UNITS = ['days', 'hours'];
+
+const CONTRACT_TYPES = ['full_time', 'part_time', 'fixed_term', 'casual'];
+
+// Statuses a booking can have. Bookings move between them through approve, reject and cancel.
+const HOLIDAY_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Kinds of leave ledger entry, with the sign their amount takes (0: as given, either way).
+// Carry-over entries are written by the year-end rollover rather than by hand.
+const LEDGER_ENTRY_TYPES = {
+  grant: 1,
+  adjustment: 0,
+  purchase: 1,
+  sale: -1,
+  toil: 1,
+  carry_over: 1,
+  expiry: -1
+};
+
+// SQL condition (on holidays aliased as h) matching bookings whose leave type comes out of the holiday allowance
+const DEDUCTS_ALLOWANCE_SQL = "h.type IN (SELECT code FROM leave_types WHERE deducts_allowance = 1)";
+
+// Load the settings row, falling back to defaults for anything not set
+async function getSettings() {
+  const result = await db.execute('SELECT * FROM settings LIMIT 1');
+  const row = result.rows[0] || {};
+  const settings = {};
+  for (const [column, field] of Object.entries(SETTINGS_FIELDS)) {
+    settings[column] = row[column] !== null && row[column] !== undefined ? row[column] : field.default;
   }
-  return new Set();
+  return settings;
 }
 
-// Calculate working days between two dates (excluding weekends and public holidays)
-async function calculateWorkingDays(startDate, endDate) {
-  const publicHolidays = await getPublicHolidayDates();
-  const start = new Date(startDate);
+// Get a holiday calendar's public holidays (the default calendar's if none is given) as a Set of date strings
+async function getPublicHolidayDates(calendarId = null) {
+  const id = calendarId || await getDefaultHolidayCalendarId();
+  const result = await db.execute('SELECT date FROM public_holidays WHERE calendar_id = ?', [id]);
+  return new Set(result.rows.map(h => h.date));
+}
+
+async function getDefaultHolidayCalendarId() {
+  const result = await db.execute('SELECT id FROM holiday_calendars ORDER BY is_default DESC, id LIMIT 1');
+  return result.rows[0]?.id ?? null;
+}
+
+// The holiday calendar whose public holidays an employee gets: their own if they have one,
+// otherwise their department's, otherwise the default
+async function getEmployeeHolidayCalendarId(employeeId) {
+  const result = await db.execute(`
+    SELECT COALESCE(e.holiday_calendar_id, d.holiday_calendar_id) as calendar_id
+    FROM employees e
+    LEFT JOIN departments d ON e.department_id = d.id
+    WHERE e.id = ?
+  `, [employeeId]);
+  return result.rows[0]?.calendar_id || await getDefaultHolidayCalendarId();
+}
+
+async function getDepartmentHolidayCalendarId(departmentId) {
+  const result = await db.execute('SELECT holiday_calendar_id FROM departments WHERE id = ?', [departmentId]);
+  return result.rows[0]?.holiday_calendar_id || await getDefaultHolidayCalendarId();
+}
+
+// Departments a company closure or blackout period covers, or null if it covers everyone
+function scopedDepartments(row) {
+  return row.department_ids ? JSON.parse(row.department_ids) : null;
+}
+
+function appliesToDepartment(row, departmentId) {
+  const departments = scopedDepartments(row);
+  return !departments || departments.includes(departmentId);
+}
+
+// Dates covered by company closures that apply to a department (null for employees without one),
+// optionally only closures of one mode
+async function getClosureDates(departmentId, mode = null) {
+  const result = mode
+    ? await db.execute('SELECT * FROM company_closures WHERE mode = ?', [mode])
+    : await db.execute('SELECT * FROM company_closures');
+  const dates = new Set();
+
+  for (const closure of result.rows.filter(c => appliesToDepartment(c, departmentId))) {
+    const current = new Date(closure.start_date);
+    const end = new Date(closure.end_date);
+    while (current <= end) {
+      dates.add(current.toISOString().split('T')[0]);
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+  }
+  return dates;
+}
+
+// Hours worked on each weekday (index 0 = Sunday) by anyone without a working pattern of their own
+function defaultWeekHours(settings) {
+  const h = settings.working_hours_per_day;
+  return [0, h, h, h, h, h, 0];
+}
+
+// An employee's working patterns (oldest first) plus the company default, for looking up hours by date
+async function getWorkSchedule(employeeId) {
+  const settings = await getSettings();
+  const result = employeeId
+    ? await db.execute('SELECT * FROM working_patterns WHERE employee_id = ? ORDER BY effective_from', [employeeId])
+    : { rows: [] };
+
+  return {
+    defaultHours: defaultWeekHours(settings),
+    patterns: result.rows.map(p => ({ effective_from: p.effective_from, hours: JSON.parse(p.hours_json) }))
+  };
+}
+
+// Hours the schedule says are worked on a date, from the pattern in effect on that date
+function scheduledHours(schedule, dateStr) {
+  let weekHours = schedule.defaultHours;
+  for (const pattern of schedule.patterns) {
+    if (pattern.effective_from > dateStr) break;
+    weekHours = pattern.hours;
+  }
+  return weekHours[new Date(dateStr).getUTCDay()] || 0;
+}
+
+// Working days between two dates, one { date, amount, hours } entry per day. Non-working days come from the
+// employee's working pattern (Monday to Friday if they have none), public holidays and non-working closures.
+// `startHalfDay`/`endHalfDay` ('AM' or 'PM') count the first/last day as half a day;
+// `hours` books part of a single day, as a fraction of that day's scheduled hours.
+async function getWorkingDayBreakdown(employeeId, startDate, endDate, options = {}) {
+  const { startHalfDay = null, endHalfDay = null, hours = null } = options;
+  const publicHolidays = await getPublicHolidayDates(await getEmployeeHolidayCalendarId(employeeId));
+  const schedule = await getWorkSchedule(employeeId);
+  const empResult = await db.execute('SELECT department_id FROM employees WHERE id = ?', [employeeId]);
+  const closed = await getClosureDates(empResult.rows[0]?.department_id ?? null, 'non_working');
   const end = new Date(endDate);
-  let days = 0;
-  const current = new Date(start);
+  const breakdown = [];
+  const current = new Date(startDate);
 
   while (current <= end) {
-    const dayOfWeek = current.getDay();
     const dateStr = current.toISOString().split('T')[0];
+    const dayHours = scheduledHours(schedule, dateStr);
 
-    if (dayOfWeek !== 0 && dayOfWeek !== 6 && !publicHolidays.has(dateStr)) {
-      days++;
+    if (dayHours > 0 && !publicHolidays.has(dateStr) && !closed.has(dateStr)) {
+      const isHalf = (dateStr === startDate && startHalfDay) || (dateStr === endDate && endHalfDay);
+      const amount = hours ? Math.round(Math.min(hours / dayHours, 1) * 100) / 100 : isHalf ? 0.5 : 1;
+      breakdown.push({ date: dateStr, amount, hours: hours ? Math.min(hours, dayHours) : amount * dayHours });
     }
-    current.setDate(current.getDate() + 1);
+    current.setUTCDate(current.getUTCDate() + 1);
   }
 
+  return breakdown;
+}
+
+function sumBreakdown(breakdown, field = 'amount') {
+  return breakdown.reduce((total, day) => total + day[field], 0);
+}
+
+// Dates in a range the employee already has approved or pending leave on, other than `excludeId`
+async function bookedLeaveDates(employeeId, startDate, endDate, excludeId = null) {
+  const result = await db.execute(`
+    SELECT hd.date
+    FROM holiday_days hd
+    JOIN holidays h ON hd.holiday_id = h.id
+    WHERE hd.employee_id = ? AND h.status IN ('approved', 'pending') AND hd.date BETWEEN ? AND ? AND h.id != ?
+  `, [employeeId, startDate, endDate, excludeId || 0]);
+  return new Set(result.rows.map(r => r.date));
+}
+
+// A stored booking's per-day breakdown as it would be worked out now. Closure leave leaves out days the
+// employee had already booked.
+async function currentHolidayBreakdown(holiday) {
+  const breakdown = await getWorkingDayBreakdown(holiday.employee_id, holiday.start_date, holiday.end_date, {
+    startHalfDay: holiday.start_half_day,
+    endHalfDay: holiday.end_half_day,
+    hours: holiday.hours
+  });
+  if (!holiday.closure_id) return breakdown;
+
+  const booked = await bookedLeaveDates(holiday.employee_id, holiday.start_date, holiday.end_date, holiday.id);
+  return breakdown.filter(day => !booked.has(day.date));
+}
+
+// Work out a stored booking's days again (e.g. after the employee's working pattern changes).
+// Returns the new day count.
+async function recalculateHoliday(holiday) {
+  const breakdown = await currentHolidayBreakdown(holiday);
+  const days = sumBreakdown(breakdown);
+
+  await db.batch(recalculatedHolidayStatements(holiday, breakdown));
   return days;
 }
 
+// Work out the approved and pending bookings of some employees again from today onwards, after something that
+// decides their working days (such as which public holidays they get) has changed. Leave that has already
+// ended keeps the days it was taken as. Returns the number of bookings recalculated.
+async function recalculateUpcomingLeave(employeeIds) {
+  if (employeeIds.length === 0) return 0;
+
+  const today = new Date().toISOString().split('T')[0];
+  const result = await db.execute(`
+    SELECT * FROM holidays
+    WHERE employee_id IN (${employeeIds.map(() => '?').join(', ')}) AND end_date >= ? AND status IN ('approved', 'pending')
+  `, [...employeeIds, today]);
+  for (const holiday of result.rows) {
+    await recalculateHoliday(holiday);
+  }
+  return result.rows.length;
+}
+
+// Statements replacing a booking's per-day breakdown, which balances use to count each day in the year it falls in
+function holidayDaysStatements(holidayId, employeeId, breakdown) {
+  return [
+    { sql: 'DELETE FROM holiday_days WHERE holiday_id = ?', args: [holidayId] },
+    ...breakdown.map(day => ({
+      sql: 'INSERT INTO holiday_days (holiday_id, employee_id, date, amount, hours) VALUES (?, ?, ?, ?, ?)',
+      args: [holidayId, employeeId, day.date, day.amount, day.hours]
+    }))
+  ];
+}
+
+// Statements giving a stored booking a new breakdown, with its day count to match
+function recalculatedHolidayStatements(holiday, breakdown) {
+  return [
+    { sql: 'UPDATE holidays SET days = ? WHERE id = ?', args: [sumBreakdown(breakdown), holiday.id] },
+    ...holidayDaysStatements(holiday.id, holiday.employee_id, breakdown)
+  ];
+}
+
+async function saveHolidayDays(holidayId, employeeId, breakdown) {
+  await db.batch(holidayDaysStatements(holidayId, employeeId, breakdown));
+}
+
+// Work out which part of the first/last day a booking covers from the request body.
+// Falls back to `current` (the stored booking) for anything the body doesn't mention, and still
+// accepts the old `is_half_day`/`half_day_period` pair. Returns { error } if the combination is invalid.
+async function parseLeavePortion(body, employeeId, startDate, endDate, current = {}) {
+  const pick = key => (body[key] !== undefined ? body[key] : current[key]);
+  let startHalfDay = pick('start_half_day') || null;
+  let endHalfDay = pick('end_half_day') || null;
+  const rawHours = pick('hours');
+  let hours = rawHours === null || rawHours === undefined || rawHours === '' ? null : parseFloat(rawHours);
+
+  if (body.is_half_day !== undefined) {
+    startHalfDay = body.is_half_day ? body.half_day_period || 'AM' : null;
+    endHalfDay = null;
+    hours = null;
+  }
+
+  if ((startHalfDay && !['AM', 'PM'].includes(startHalfDay)) || (endHalfDay && !['AM', 'PM'].includes(endHalfDay))) {
+    return { error: "Half days must be 'AM' or 'PM'" };
+  }
+
+  if (startDate === endDate) {
+    // A single day can only be one half; keep it in start_half_day
+    startHalfDay = startHalfDay || endHalfDay;
+    endHalfDay = null;
+  } else {
+    if (startHalfDay === 'AM') {
+      return { error: 'A booking over several days can only start with an afternoon (PM) half day' };
+    }
+    if (endHalfDay === 'PM') {
+      return { error: 'A booking over several days can only end with a morning (AM) half day' };
+    }
+  }
+
+  if (hours !== null) {
+    if (startDate !== endDate) {
+      return { error: 'Hours can only be booked for a single day' };
+    }
+    if (startHalfDay) {
+      return { error: 'Book either a half day or a number of hours, not both' };
+    }
+    const dayHours = scheduledHours(await getWorkSchedule(employeeId), startDate);
+    if (isNaN(hours) || hours <= 0 || (dayHours > 0 && hours >= dayHours)) {
+      return { error: `Hours must be more than 0 and less than a full day (${dayHours})` };
+    }
+  }
+
+  return { startHalfDay, endHalfDay, hours };
+}
+
+// Find the employee's existing leave that overlaps the given dates
+async function findOverlappingHolidays(employeeId, startDate, endDate, excludeId = null) {
+  const result = await db.execute(`
+    SELECT id, start_date, end_date, type, status
+    FROM holidays
+    WHERE employee_id = ? AND status NOT IN ('rejected', 'cancelled')
+      AND start_date <= ? AND end_date >= ? AND id != ?
+    ORDER BY start_date
+  `, [employeeId, endDate, startDate, excludeId || 0]);
+
+  return result.rows.map(h => ({
+    id: h.id,
+    start_date: h.start_date,
+    end_date: h.end_date,
+    type: h.type,
+    status: h.status
+  }));
+}
+
+// Warn about the employee's working days where too many of their department colleagues are already off.
+// Colleagues count as off on the days their leave actually takes, from its per-day breakdown.
+async function findDepartmentClashes(employeeId, startDate, endDate) {
+  const empResult = await db.execute(`
+    SELECT e.department_id, d.name as department_name
+    FROM employees e
+    LEFT JOIN departments d ON e.department_id = d.id
+    WHERE e.id = ?
+  `, [employeeId]);
+  const employee = empResult.rows[0];
+  if (!employee || !employee.department_id) return [];
+
+  const settings = await getSettings();
+  const threshold = settings.department_absence_threshold;
+  if (!threshold) return [];
+
+  const result = await db.execute(`
+    SELECT hd.date, hd.employee_id, e.first_name, e.last_name
+    FROM holiday_days hd
+    JOIN holidays h ON hd.holiday_id = h.id
+    JOIN employees e ON hd.employee_id = e.id
+    WHERE e.department_id = ? AND e.status = 'active' AND hd.employee_id != ?
+      AND h.status IN ('approved', 'pending')
+      AND hd.date BETWEEN ? AND ?
+  `, [employee.department_id, employeeId, startDate, endDate]);
+
+  const warnings = [];
+  for (const { date } of await getWorkingDayBreakdown(employeeId, startDate, endDate)) {
+    const absent = new Map();
+    result.rows
+      .filter(d => d.date === date)
+      .forEach(d => absent.set(d.employee_id, `${d.first_name} ${d.last_name}`));
+
+    if (absent.size >= threshold) {
+      warnings.push({
+        code: 'DEPARTMENT_CLASH',
+        date,
+        department_id: employee.department_id,
+        department_name: employee.department_name,
+        absent_count: absent.size,
+        employees: [...absent.values()]
+      });
+    }
+  }
+
+  return warnings;
+}
+
+// The dates each active member of a department works between two dates, from their working pattern,
+// public holidays and non-working closures, keyed by employee id (as a string)
+async function departmentWorkingDates(departmentId, startDate, endDate) {
+  const members = await db.execute("SELECT id FROM employees WHERE department_id = ? AND status = 'active'", [departmentId]);
+  const working = new Map();
+  for (const member of members.rows) {
+    const breakdown = await getWorkingDayBreakdown(member.id, startDate, endDate);
+    working.set(member.id.toString(), new Set(breakdown.map(day => day.date)));
+  }
+  return working;
+}
+
+// Find days where leave leaves a department with fewer people in than its staffing rules require. Only
+// people due to work that day count towards the minimum, so part-time and weekend rotas are judged on who
+// would actually be in. `booking` optionally adds a prospective absence: { employeeId, holidayId }
+// (holidayId = the row it replaces).
+async function findStaffingShortfalls(departmentId, startDate, endDate, booking = null) {
+  const rulesResult = await db.execute('SELECT * FROM staffing_rules WHERE department_id = ?', [departmentId]);
+  if (rulesResult.rows.length === 0) return [];
+
+  const deptResult = await db.execute('SELECT name FROM departments WHERE id = ?', [departmentId]);
+  if (deptResult.rows.length === 0) return [];
+  const { name } = deptResult.rows[0];
+
+  const leaveResult = await db.execute(`
+    SELECT hd.date, hd.employee_id
+    FROM holiday_days hd
+    JOIN holidays h ON hd.holiday_id = h.id
+    JOIN employees e ON hd.employee_id = e.id
+    WHERE e.department_id = ? AND e.status = 'active' AND h.status = 'approved'
+      AND hd.date BETWEEN ? AND ? AND h.id != ?
+  `, [departmentId, startDate, endDate, booking?.holidayId || 0]);
+
+  const working = await departmentWorkingDates(departmentId, startDate, endDate);
+  const closed = await getClosureDates(departmentId);
+  const shortfalls = [];
+  const current = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+
+  while (current <= end) {
+    const dayOfWeek = current.getUTCDay();
+    const dateStr = current.toISOString().split('T')[0];
+    current.setUTCDate(current.getUTCDate() + 1);
+
+    // A weekday-specific rule and an every-day rule can both apply; the stricter one wins
+    const rules = rulesResult.rows.filter(r => r.weekday === null || r.weekday === dayOfWeek);
+    if (rules.length === 0 || closed.has(dateStr)) continue;
+
+    const scheduled = [...working.keys()].filter(id => working.get(id).has(dateStr));
+    const absent = new Set(leaveResult.rows
+      .filter(d => d.date === dateStr)
+      .map(d => d.employee_id.toString())
+      .filter(id => scheduled.includes(id)));
+    if (booking && scheduled.includes(booking.employeeId.toString())) absent.add(booking.employeeId.toString());
+    if (absent.size === 0) continue;
+
+    const present = scheduled.length - absent.size;
+    const rule = rules.reduce((strictest, r) => (r.min_present > strictest.min_present ? r : strictest));
+
+    if (present < rule.min_present) {
+      shortfalls.push({
+        code: 'BELOW_MIN_STAFFING',
+        date: dateStr,
+        department_id: departmentId,
+        department_name: name,
+        min_present: rule.min_present,
+        present,
+        enforcement: rule.enforcement
+      });
+    }
+  }
+
+  return shortfalls;
+}
+
+// Staffing shortfalls caused by an employee being off for the given dates
+async function checkBookingStaffing(employeeId, startDate, endDate, excludeId = null) {
+  const empResult = await db.execute('SELECT department_id FROM employees WHERE id = ?', [employeeId]);
+  const departmentId = empResult.rows[0]?.department_id;
+  if (!departmentId) return [];
+
+  return findStaffingShortfalls(departmentId, startDate, endDate, { employeeId, holidayId: excludeId });
+}
+
+// Pick out the staffing shortfalls that stop a booking from being saved with the given status.
+// Employee requests are only stopped by 'block' rules ('flag' ones are left for the approver);
+// anything approved needs a manager's override reason.
+function blockingShortfalls(shortfalls, status, overrideReason) {
+  if (status === 'approved') {
+    return overrideReason ? [] : shortfalls;
+  }
+  return shortfalls.filter(s => s.enforcement === 'block');
+}
+
+function formatBlackout(b) {
+  return {
+    id: b.id,
+    name: b.name,
+    start_date: b.start_date,
+    end_date: b.end_date,
+    department_ids: scopedDepartments(b),
+    exempt_types: b.exempt_types ? JSON.parse(b.exempt_types) : [],
+    created_at: b.created_at
+  };
+}
+
+// Blackout periods overlapping the dates that cover the employee's department and don't exempt the leave type
+async function findBlackouts(employeeId, startDate, endDate, leaveTypeCode) {
+  const empResult = await db.execute('SELECT department_id FROM employees WHERE id = ?', [employeeId]);
+  const departmentId = empResult.rows[0]?.department_id ?? null;
+
+  const result = await db.execute(
+    'SELECT * FROM blackout_periods WHERE start_date <= ? AND end_date >= ? ORDER BY start_date',
+    [endDate, startDate]
+  );
+  return result.rows
+    .filter(b => appliesToDepartment(b, departmentId))
+    .map(formatBlackout)
+    .filter(b => !b.exempt_types.includes(leaveTypeCode));
+}
+
+// The 409 body for a booking that falls in a blackout period
+function blackoutError(blackouts) {
+  const first = blackouts[0];
+  return {
+    error: `Leave can't be booked during ${first.name} (${first.start_date} to ${first.end_date})`,
+    code: 'BLACKOUT',
+    blackouts
+  };
+}
+
+// Run the booking checks shared by create, update and the modal's pre-save check
+async function checkHolidayBooking(employeeId, startDate, endDate, excludeId = null) {
+  const conflicts = await findOverlappingHolidays(employeeId, startDate, endDate, excludeId);
+  const warnings = await findDepartmentClashes(employeeId, startDate, endDate);
+  const shortfalls = await checkBookingStaffing(employeeId, startDate, endDate, excludeId);
+  return { conflicts, warnings, shortfalls };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round to the nearest half day
+function roundToHalfDay(value) {
+  return Math.round(value * 2) / 2;
+}
+
+// Number of days from one date to another, inclusive (0 if the range is empty)
+function daysInRange(from, to) {
+  return Math.max(0, Math.round((to - from) / DAY_MS) + 1);
+}
+
+// Leave years are named after the calendar year they start in (an April-March year starting in 2026 is 2026).
+// They start on the company's 'MM-DD' leave year start or, on the anniversary basis, on each employee's
+// start-date anniversary (28 February for anyone who joined on the 29th).
+function leaveYearStartDay(settings, employee = null) {
+  if (settings.leave_year_basis === 'anniversary' && employee && employee.start_date) {
+    const monthDay = employee.start_date.slice(5, 10);
+    return monthDay === '02-29' ? '02-28' : monthDay;
+  }
+  return settings.leave_year_start || '01-01';
+}
+
+// First and last day of a leave year
+function getLeaveYearRange(year, settings, employee = null) {
+  const [month, day] = leaveYearStartDay(settings, employee).split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - 1, day));
+  const end = new Date(Date.UTC(year + 1, month - 1, day - 1));
+  return { start: start.toISOString().split('T')[0], end: end.toISOString().split('T')[0] };
+}
+
+// The leave year a date falls in
+function leaveYearOf(dateStr, settings, employee = null) {
+  const year = parseInt(dateStr.slice(0, 4));
+  return dateStr >= getLeaveYearRange(year, settings, employee).start ? year : year - 1;
+}
+
+function currentLeaveYear(settings, employee = null) {
+  return leaveYearOf(new Date().toISOString().split('T')[0], settings, employee);
+}
+
+// '2026' for calendar leave years, '2026/27' for ones that run into the next calendar year
+function leaveYearLabel(year, settings) {
+  if (settings.leave_year_basis !== 'anniversary' && (settings.leave_year_start || '01-01') === '01-01') {
+    return `${year}`;
+  }
+  return `${year}/${((year + 1) % 100).toString().padStart(2, '0')}`;
+}
+
+// The allowance an employee has for a leave year: the one recorded for that year, if any (see
+// getYearAllowances), otherwise their current allowance or the company default
+function allowanceForYear(employee, settings, yearAllowance = null) {
+  return yearAllowance ?? employee.holiday_allowance ?? settings.default_holiday_allowance;
+}
+
+// Work out an employee's entitlement for a leave year, pro-rata for anyone joining or leaving part way through.
+// With monthly accrual each month's share is credited at the start of the month; otherwise it is all available up front.
+function calculateEntitlement(employee, year, settings, yearAllowance = null, asOf = new Date()) {
+  const allowance = allowanceForYear(employee, settings, yearAllowance);
+  const range = getLeaveYearRange(year, settings, employee);
+  const yearStart = new Date(range.start);
+  const yearEnd = new Date(range.end);
+  const daysInYear = daysInRange(yearStart, yearEnd);
+
+  const joined = employee.start_date ? new Date(employee.start_date) : null;
+  const left = employee.leaving_date ? new Date(employee.leaving_date) : null;
+  const employedFrom = joined && joined > yearStart ? joined : yearStart;
+  const employedTo = left && left < yearEnd ? left : yearEnd;
+
+  const entitled = roundToHalfDay(allowance * daysInRange(employedFrom, employedTo) / daysInYear);
+
+  let accrued = entitled;
+  if (settings.accrual_mode === 'monthly') {
+    const today = new Date(asOf);
+    if (today < yearStart) {
+      accrued = 0;
+    } else if (today <= yearEnd) {
+      const monthEnd = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+      const accruedTo = monthEnd < employedTo ? monthEnd : employedTo;
+      accrued = roundToHalfDay(allowance * daysInRange(employedFrom, accruedTo) / daysInYear);
+    }
+  }
+
+  return { allowance, entitled, accrued };
+}
+
+// Whole years of service from an employee's start date up to a date
+function yearsOfService(employee, dateStr) {
+  if (!employee.start_date || employee.start_date > dateStr) return 0;
+  const years = parseInt(dateStr.slice(0, 4)) - parseInt(employee.start_date.slice(0, 4));
+  return dateStr.slice(5, 10) >= employee.start_date.slice(5, 10) ? years : years - 1;
+}
+
+// How closely a tier is aimed at an employee: department and contract type beats department alone,
+// which beats contract type alone, which beats a company-wide tier. -1 if it doesn't cover them at all.
+function tierSpecificity(tier, employee) {
+  const departments = scopedDepartments(tier);
+  if (departments && !departments.includes(employee.department_id)) return -1;
+  if (tier.contract_type && tier.contract_type !== employee.contract_type) return -1;
+  return (departments ? 2 : 0) + (tier.contract_type ? 1 : 0);
+}
+
+// The entitlement tier an employee is on at a date, and the one they move up to next (with when).
+// Only the most specific set of tiers covering the employee counts, so a department's own ladder replaces
+// the company-wide one rather than mixing with it. Within that set the highest service threshold reached wins.
+function findEntitlementTier(employee, tiers, dateStr) {
+  const covering = tiers.map(t => ({ tier: t, specificity: tierSpecificity(t, employee) })).filter(t => t.specificity >= 0);
+  if (covering.length === 0) return { tier: null, next: null, years: yearsOfService(employee, dateStr) };
+
+  const specificity = Math.max(...covering.map(t => t.specificity));
+  const ladder = covering.filter(t => t.specificity === specificity).map(t => t.tier).sort((a, b) => a.min_years - b.min_years);
+  const years = yearsOfService(employee, dateStr);
+  const tier = ladder.filter(t => t.min_years <= years).pop() || null;
+  const next = ladder.find(t => t.min_years > years) || null;
+
+  return {
+    tier,
+    next: next && employee.start_date ? { ...next, reached_on: addYears(employee.start_date, next.min_years) } : null,
+    years
+  };
+}
+
+function addYears(dateStr, years) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return date.toISOString().split('T')[0];
+}
+
+function formatEntitlementTier(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    min_years: t.min_years,
+    allowance: t.allowance,
+    department_ids: scopedDepartments(t),
+    contract_type: t.contract_type,
+    created_at: t.created_at
+  };
+}
+
+async function getEntitlementTiers() {
+  const result = await db.execute('SELECT * FROM entitlement_tiers ORDER BY min_years, name');
+  return result.rows;
+}
+
+// Tier summary shown against an employee: the tier they are on today and the next one up
+function employeeTierSummary(employee, tiers) {
+  const { tier, next, years } = findEntitlementTier(employee, tiers, new Date().toISOString().split('T')[0]);
+  return {
+    service_years: years,
+    entitlement_tier: tier ? { id: tier.id, name: tier.name, min_years: tier.min_years, allowance: tier.allowance } : null,
+    next_entitlement_tier: next
+      ? { id: next.id, name: next.name, min_years: next.min_years, allowance: next.allowance, reached_on: next.reached_on }
+      : null
+  };
+}
+
+// Leave that comes out of the allowance, per employee for a leave year, split into taken so far, booked for later
+// and awaiting approval. Counted per day, so a booking over the start of a leave year is split between the two.
+// Each figure is given in days and in hours. `beforeCarryExpiry` is the approved leave falling on or before the
+// employee's carried-over days expire, and `pendingBeforeCarryExpiry` the same for pending leave.
+// `excludeId` leaves out a booking that is being edited.
+async function getLeaveUsage(year, settings, employeeId = null, excludeId = null) {
+  const today = new Date().toISOString().split('T')[0];
+
+  // Anniversary leave years differ per employee, so fetch every day they could cover and sort them out below
+  const window = settings.leave_year_basis === 'anniversary'
+    ? { start: `${year}-01-01`, end: `${year + 1}-12-31` }
+    : getLeaveYearRange(year, settings);
+
+  let query = `
+    SELECT hd.employee_id, hd.date, hd.amount, hd.hours, h.status, e.start_date,
+      (SELECT MIN(l.expires_on) FROM leave_ledger l
+       WHERE l.employee_id = hd.employee_id AND l.year = ? AND l.entry_type = 'carry_over') as carry_expires_on
+    FROM holiday_days hd
+    JOIN holidays h ON hd.holiday_id = h.id
+    JOIN employees e ON hd.employee_id = e.id
+    WHERE h.status IN ('approved', 'pending') AND ${DEDUCTS_ALLOWANCE_SQL} AND hd.date BETWEEN ? AND ? AND h.id != ?
+  `;
+  const params = [year, window.start, window.end, excludeId || 0];
+
+  if (employeeId) {
+    query += ' AND hd.employee_id = ?';
+    params.push(employeeId);
+  }
+
+  const result = await db.execute(query, params);
+  const usage = {};
+  const ranges = {};
+  const empty = () => ({ used: 0, booked: 0, pending: 0, beforeCarryExpiry: 0, pendingBeforeCarryExpiry: 0 });
+
+  for (const row of result.rows) {
+    if (!ranges[row.employee_id]) {
+      ranges[row.employee_id] = getLeaveYearRange(year, settings, { start_date: row.start_date });
+    }
+    const range = ranges[row.employee_id];
+    if (row.date < range.start || row.date > range.end) continue;
+
+    if (!usage[row.employee_id]) {
+      usage[row.employee_id] = { ...empty(), hours: empty() };
+    }
+    const beforeExpiry = !row.carry_expires_on || row.date <= row.carry_expires_on;
+
+    for (const [totals, amount] of [[usage[row.employee_id], row.amount], [usage[row.employee_id].hours, row.hours || 0]]) {
+      if (row.status === 'pending') {
+        totals.pending += amount;
+        if (beforeExpiry) totals.pendingBeforeCarryExpiry += amount;
+      } else {
+        totals[row.date <= today ? 'used' : 'booked'] += amount;
+        if (beforeExpiry) totals.beforeCarryExpiry += amount;
+      }
+    }
+  }
+  return usage;
+}
+
+// Date the days carried into a leave year expire: the first 'MM-DD' carry-over expiry date in that year
+function carryOverExpiryDate(year, settings, employee = null) {
+  if (!settings.carry_over_expiry) return null;
+  const range = getLeaveYearRange(year, settings, employee);
+  const date = `${year}-${settings.carry_over_expiry}`;
+  return date >= range.start ? date : `${year + 1}-${settings.carry_over_expiry}`;
+}
+
+// Ledger totals for a year, per employee: days carried into the year (and when they expire) and
+// the net of every other entry (grants, adjustments, bought and sold days, TOIL, expiries)
+async function getLedgerTotals(year, employeeId = null) {
+  let query = `
+    SELECT employee_id,
+      SUM(CASE WHEN entry_type = 'carry_over' THEN days ELSE 0 END) as carried,
+      MIN(CASE WHEN entry_type = 'carry_over' THEN expires_on END) as carry_expires_on,
+      SUM(CASE WHEN entry_type != 'carry_over' THEN days ELSE 0 END) as adjustments
+    FROM leave_ledger
+    WHERE year = ?
+  `;
+  const params = [year];
+
+  if (employeeId) {
+    query += ' AND employee_id = ?';
+    params.push(employeeId);
+  }
+
+  query += ' GROUP BY employee_id';
+
+  const result = await db.execute(query, params);
+  const totals = {};
+  result.rows.forEach(row => {
+    totals[row.employee_id] = {
+      carried: row.carried || 0,
+      expires_on: row.carry_expires_on,
+      adjustments: row.adjustments || 0
+    };
+  });
+  return totals;
+}
+
+// Allowances recorded for a leave year, per employee
+async function getYearAllowances(year, employeeId = null) {
+  let query = 'SELECT employee_id, allowance FROM leave_year_allowances WHERE year = ?';
+  const params = [year];
+
+  if (employeeId) {
+    query += ' AND employee_id = ?';
+    params.push(employeeId);
+  }
+
+  const result = await db.execute(query, params);
+  const allowances = {};
+  result.rows.forEach(row => {
+    allowances[row.employee_id] = row.allowance;
+  });
+  return allowances;
+}
+
+// Combine entitlement, ledger entries and usage into the balance figures reported by the API.
+// Leave is taken from carried-over days first; whatever is left of them on the expiry date is lost.
+// `projected_remaining` is the balance left at the end of the year once all approved and pending leave
+// (and a `proposed` booking, if the usage has one) is taken, after any carried days lapse unused.
+// For employees whose leave is tracked in hours every figure is in hours (entitlement and carry-over at
+// the standard working day, leave at the hours actually booked), with `in_days` converting them back.
+function buildLeaveBalance(employee, usage, ledger, year, settings, yearAllowance = null) {
+  const inHours = employee.leave_unit === 'hours';
+  const hoursPerDay = settings.working_hours_per_day;
+  const scale = inHours ? hoursPerDay : 1;
+
+  const { allowance, entitled, accrued } = calculateEntitlement(employee, year, settings, yearAllowance);
+  const noUsage = { used: 0, booked: 0, pending: 0, beforeCarryExpiry: 0, pendingBeforeCarryExpiry: 0 };
+  const {
+    used, booked, pending, beforeCarryExpiry, pendingBeforeCarryExpiry, proposed = 0, proposedBeforeCarryExpiry = 0
+  } = usage ? (inHours ? usage.hours : usage) : noUsage;
+
+  const today = new Date().toISOString().split('T')[0];
+  const adjustments = (ledger ? ledger.adjustments : 0) * scale;
+  const carriedOver = (ledger ? ledger.carried : 0) * scale;
+  const expiresOn = ledger ? ledger.expires_on : null;
+  const carriedUsed = Math.min(carriedOver, expiresOn ? beforeCarryExpiry : used + booked);
+  const carriedExpired = expiresOn && today > expiresOn ? carriedOver - carriedUsed : 0;
+
+  const planned = used + booked + pending + proposed;
+  const plannedBeforeExpiry = beforeCarryExpiry + pendingBeforeCarryExpiry + proposedBeforeCarryExpiry;
+  const projectedLapsed = expiresOn ? carriedOver - Math.min(carriedOver, plannedBeforeExpiry) : 0;
+
+  const figures = {
+    allowance: allowance * scale,
+    entitled: entitled * scale,
+    accrued: accrued * scale,
+    adjustments,
+    carried_over: carriedOver,
+    carried_used: carriedUsed,
+    carried_expired: carriedExpired,
+    carried_remaining: carriedOver - carriedUsed - carriedExpired,
+    used,
+    booked,
+    pending,
+    remaining: entitled * scale + adjustments + carriedOver - carriedExpired - used - booked,
+    available: accrued * scale + adjustments + carriedOver - carriedExpired - used - booked,
+    proposed,
+    projected_lapsed: projectedLapsed,
+    projected_remaining: entitled * scale + adjustments + carriedOver - projectedLapsed - planned
+  };
+
+  if (!inHours) {
+    return { unit: 'days', ...figures, carry_over_expires: expiresOn };
+  }
+
+  const hours = {};
+  const inDays = {};
+  for (const [key, value] of Object.entries(figures)) {
+    hours[key] = Math.round(value * 100) / 100;
+    inDays[key] = Math.round((value / hoursPerDay) * 100) / 100;
+  }
+  return { unit: 'hours', hours_per_day: hoursPerDay, ...hours, carry_over_expires: expiresOn, in_days: inDays };
+}
+
+// Balances for a set of employees, each for `year` or, if not given, their own current leave year.
+// Returns { [employeeId]: { year, balance } }.
+async function getLeaveBalances(employees, settings, year = null) {
+  const byYear = {};
+  for (const e of employees) {
+    const y = year || currentLeaveYear(settings, e);
+    (byYear[y] = byYear[y] || []).push(e);
+  }
+
+  const balances = {};
+  for (const [key, group] of Object.entries(byYear)) {
+    const y = parseInt(key);
+    const employeeId = employees.length === 1 ? employees[0].id : null;
+    const usage = await getLeaveUsage(y, settings, employeeId);
+    const ledgerTotals = await getLedgerTotals(y, employeeId);
+    const yearAllowances = await getYearAllowances(y, employeeId);
+    for (const e of group) {
+      balances[e.id] = {
+        year: y,
+        balance: buildLeaveBalance(e, usage[e.id], ledgerTotals[e.id], y, settings, yearAllowances[e.id])
+      };
+    }
+  }
+  return balances;
+}
+
+// The most days an employee can carry into the next year: their own cap, or the company one
+function carryOverCap(employee, settings) {
+  return employee.carry_over_max_days !== null && employee.carry_over_max_days !== undefined
+    ? employee.carry_over_max_days
+    : settings.carry_over_max_days;
+}
+
+// Days of the projected year-end balance beyond the carry-over cap, which would be lost at rollover
+function daysOverCarryOverCap(employee, balance, settings) {
+  const projected = balance.in_days ? balance.in_days.projected_remaining : balance.projected_remaining;
+  return Math.max(0, Math.round((projected - carryOverCap(employee, settings)) * 100) / 100);
+}
+
+// Record a status change in the holiday's approval history
+async function recordHolidayStatus(holidayId, status, userId, reason = null) {
+  await db.execute(
+    'INSERT INTO holiday_status_history (holiday_id, status, changed_by, reason) VALUES (?, ?, ?, ?)',
+    [holidayId, status, userId || null, reason]
+  );
+}
+
+// Look up a leave type by its code
+async function getLeaveType(code) {
+  const result = await db.execute('SELECT * FROM leave_types WHERE code = ?', [code]);
+  return result.rows[0] || null;
+}
+
+// Check a booking's per-day breakdown against its leave type's yearly cap, in each leave year it touches.
+// Returns null when within the cap.
+async function checkLeaveTypeCap(employeeId, leaveType, breakdown, excludeId = null) {
+  if (leaveType.yearly_cap === null || leaveType.yearly_cap === undefined) return null;
+
+  const settings = await getSettings();
+  const empResult = await db.execute('SELECT start_date FROM employees WHERE id = ?', [employeeId]);
+  const employee = empResult.rows[0] || null;
+
+  const requestedByYear = {};
+  breakdown.forEach(day => {
+    const year = leaveYearOf(day.date, settings, employee);
+    requestedByYear[year] = (requestedByYear[year] || 0) + day.amount;
+  });
+
+  for (const [year, requested] of Object.entries(requestedByYear)) {
+    const range = getLeaveYearRange(parseInt(year), settings, employee);
+    const result = await db.execute(`
+      SELECT COALESCE(SUM(hd.amount), 0) as taken
+      FROM holiday_days hd
+      JOIN holidays h ON hd.holiday_id = h.id
+      WHERE hd.employee_id = ? AND h.type = ? AND h.status IN ('approved', 'pending')
+        AND hd.date BETWEEN ? AND ? AND h.id != ?
+    `, [employeeId, leaveType.code, range.start, range.end, excludeId || 0]);
+
+    const taken = result.rows[0].taken;
+    if (taken + requested > leaveType.yearly_cap) {
+      return {
+        code: 'TYPE_CAP_EXCEEDED',
+        type: leaveType.code,
+        type_name: leaveType.name,
+        cap: leaveType.yearly_cap,
+        year: parseInt(year),
+        taken,
+        requested
+      };
+    }
+  }
+
+  return null;
+}
+
+// True if the employee has no working days between two dates, so leave ending on the first date runs on
+// into leave starting on the second
+async function leaveRunsOn(employeeId, endDate, startDate) {
+  const gapStart = new Date(endDate);
+  gapStart.setUTCDate(gapStart.getUTCDate() + 1);
+  const gapEnd = new Date(startDate);
+  gapEnd.setUTCDate(gapEnd.getUTCDate() - 1);
+  return gapEnd < gapStart || (await getWorkingDayBreakdown(
+    employeeId, gapStart.toISOString().split('T')[0], gapEnd.toISOString().split('T')[0]
+  )).length === 0;
+}
+
+// Working days in the unbroken run of leave a booking would be part of: its own days plus those of the
+// employee's approved and pending bookings of the same type that it runs on from or into, so a long absence
+// can't be booked as several short ones. `excludeId` is a booking being edited.
+async function consecutiveLeaveDays(employeeId, leaveType, startDate, endDate, days, excludeId = null) {
+  if (!leaveType.max_consecutive_days) return days;
+
+  const result = await db.execute(`
+    SELECT start_date, end_date, days FROM holidays
+    WHERE employee_id = ? AND type = ? AND status IN ('approved', 'pending') AND id != ?
+    ORDER BY start_date
+  `, [employeeId, leaveType.code, excludeId || 0]);
+
+  let total = days;
+  let runStart = startDate;
+  for (const h of result.rows.filter(h => h.end_date < startDate).reverse()) {
+    if (!(await leaveRunsOn(employeeId, h.end_date, runStart))) break;
+    runStart = h.start_date;
+    total += h.days;
+  }
+  let runEnd = endDate;
+  for (const h of result.rows.filter(h => h.start_date > endDate)) {
+    if (!(await leaveRunsOn(employeeId, runEnd, h.start_date))) break;
+    runEnd = h.end_date;
+    total += h.days;
+  }
+  return total;
+}
+
+// Check a booking against its leave type's booking rules: minimum notice, longest run of leave (see
+// consecutiveLeaveDays), how far ahead it can be made, and (for employees) whether it can be in the past.
+// Returns the violations, each with a machine-readable code; managers can book through them with a reason.
+function checkBookingPolicy(leaveType, startDate, consecutiveDays, isEmployee) {
+  const today = new Date().toISOString().split('T')[0];
+  const violations = [];
+
+  if (startDate < today) {
+    if (isEmployee && !leaveType.allow_past_dates) {
+      violations.push({ code: 'PAST_DATE', message: `${leaveType.name} can't be booked for past dates` });
+    }
+  } else if (leaveType.notice_days) {
+    const notice = daysInRange(new Date(today), new Date(startDate)) - 1;
+    if (notice < leaveType.notice_days) {
+      violations.push({
+        code: 'NOTICE_PERIOD',
+        message: `${leaveType.name} needs ${leaveType.notice_days} days' notice`,
+        required: leaveType.notice_days,
+        given: notice
+      });
+    }
+  }
+
+  if (leaveType.max_consecutive_days && consecutiveDays > leaveType.max_consecutive_days) {
+    violations.push({
+      code: 'MAX_CONSECUTIVE_DAYS',
+      message: `${leaveType.name} can be booked for at most ${leaveType.max_consecutive_days} working days at a time`,
+      max: leaveType.max_consecutive_days,
+      requested: consecutiveDays
+    });
+  }
+
+  if (leaveType.max_months_ahead) {
+    const latest = new Date(today);
+    latest.setUTCMonth(latest.getUTCMonth() + leaveType.max_months_ahead);
+    const latestStart = latest.toISOString().split('T')[0];
+    if (startDate > latestStart) {
+      violations.push({
+        code: 'ADVANCE_WINDOW',
+        message: `${leaveType.name} can be booked at most ${leaveType.max_months_ahead} months ahead`,
+        max_months: leaveType.max_months_ahead,
+        latest_start: latestStart
+      });
+    }
+  }
+
+  return violations;
+}
+
+// The 409 body for a booking that breaks its leave type's rules
+function policyError(violations) {
+  return { error: violations.map(v => v.message).join('; '), code: 'POLICY_VIOLATION', violations };
+}
+
+// Status history note for a booking approved past staffing or policy rules
+function overrideNote(staffingOverridden, policyOverridden, overrideReason) {
+  const rules = [];
+  if (staffingOverridden) rules.push('Minimum staffing');
+  if (policyOverridden) rules.push('Booking policy');
+  return rules.length > 0 ? `${rules.join(' and ')} override: ${overrideReason}` : null;
+}
+
 // Initialize default data
 async function initializeData() {
   try {
@@ -65,6 +1088,36 @@ async function initializeData() {
       console.log('Default departments created');
     }
 
+    // Default leave types
+    const leaveTypeCheck = await db.execute('SELECT COUNT(*) as count FROM leave_types');
+    if (leaveTypeCheck.rows[0].count === 0) {
+      for (const t of DEFAULT_LEAVE_TYPES) {
+        await db.execute(
+          `INSERT INTO leave_types (code, name, deducts_allowance, requires_approval, paid, color, yearly_cap, allow_past_dates, sickness)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [t.code, t.name, t.deducts_allowance, t.requires_approval, t.paid, t.color, t.yearly_cap, t.allow_past_dates, t.sickness]
+        );
+      }
+      console.log('Default leave types created');
+    }
+
+    // Per-day breakdown for bookings made before it was recorded, with each booking's day count brought
+    // into line with it. Each pass is written in one go so a booking never keeps a total its days don't add
+    // up to. Closure leave goes second, as it leaves out the days the employee has already booked.
+    for (const closureLeave of [false, true]) {
+      const missingDays = await db.execute(`
+        SELECT * FROM holidays
+        WHERE id NOT IN (SELECT holiday_id FROM holiday_days) AND closure_id IS ${closureLeave ? 'NOT NULL' : 'NULL'}
+      `);
+      const backfill = [];
+      for (const h of missingDays.rows) {
+        backfill.push(...recalculatedHolidayStatements(h, await currentHolidayBreakdown(h)));
+      }
+      if (backfill.length > 0) {
+        await db.batch(backfill);
+      }
+    }
+
     // Default settings
     const settingsCheck = await db.execute('SELECT id FROM settings LIMIT 1');
     if (settingsCheck.rows.length === 0) {
@@ -306,6 +1359,7 @@ app.get('/api/departments', authenticate, async (req, res) => {
       id: d.id,
       name: d.name,
       managerId: d.manager_id,
+      holiday_calendar_id: d.holiday_calendar_id,
       createdAt: d.created_at,
       employee_count: d.employee_count,
       manager_name: d.manager_name
@@ -320,15 +1374,18 @@ app.get('/api/departments', authenticate, async (req, res) => {
 
 app.post('/api/departments', authenticate, requireRole('admin', 'manager'), async (req, res) => {
   try {
-    const { name, manager_id } = req.body;
+    const { name, manager_id, holiday_calendar_id } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Department name required' });
     }
+    if (holiday_calendar_id && !(await getHolidayCalendar(holiday_calendar_id))) {
+      return res.status(400).json({ error: 'Holiday calendar not found' });
+    }
 
     const result = await db.execute(
-      'INSERT INTO departments (name, manager_id) VALUES (?, ?) RETURNING id',
-      [name, manager_id || null]
+      'INSERT INTO departments (name, manager_id, holiday_calendar_id) VALUES (?, ?, ?) RETURNING id',
+      [name, manager_id || null, holiday_calendar_id || null]
     );
 
     res.status(201).json({ id: result.rows[0].id, name, managerId: manager_id });
@@ -341,19 +1398,35 @@ app.post('/api/departments', authenticate, requireRole('admin', 'manager'), asyn
 app.put('/api/departments/:id', authenticate, requireRole('admin', 'manager'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, manager_id } = req.body;
+    const { name, manager_id, holiday_calendar_id } = req.body;
 
-    const existing = await db.execute('SELECT id FROM departments WHERE id = ?', [id]);
+    const existing = await db.execute('SELECT id, holiday_calendar_id FROM departments WHERE id = ?', [id]);
     if (existing.rows.length === 0) {
       return res.status(404).json({ error: 'Department not found' });
     }
+    if (holiday_calendar_id && !(await getHolidayCalendar(holiday_calendar_id))) {
+      return res.status(400).json({ error: 'Holiday calendar not found' });
+    }
 
+    // Left out, the department keeps its calendar. Ids from the body may be strings, so they are made numbers
+    // to compare with the stored one.
+    const calendarId = holiday_calendar_id === undefined ? existing.rows[0].holiday_calendar_id : Number(holiday_calendar_id) || null;
     await db.execute(
-      'UPDATE departments SET name = ?, manager_id = ? WHERE id = ?',
-      [name, manager_id || null, id]
+      'UPDATE departments SET name = ?, manager_id = ?, holiday_calendar_id = ? WHERE id = ?',
+      [name, manager_id || null, calendarId, id]
     );
 
-    res.json({ message: 'Department updated' });
+    // People without a calendar of their own follow their department's
+    let recalculated = 0;
+    if (calendarId !== existing.rows[0].holiday_calendar_id) {
+      const affected = await db.execute(
+        'SELECT id FROM employees WHERE department_id = ? AND holiday_calendar_id IS NULL',
+        [id]
+      );
+      recalculated = await recalculateUpcomingLeave(affected.rows.map(e => e.id));
+    }
+
+    res.json({ message: 'Department updated', recalculated_bookings: recalculated });
   } catch (err) {
     console.error('Update department error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -374,6 +1447,8 @@ app.delete('/api/departments/:id', authenticate, requireRole('admin'), async (re
       return res.status(404).json({ error: 'Department not found' });
     }
 
+    await db.execute('DELETE FROM staffing_rules WHERE department_id = ?', [id]);
+
     res.json({ message: 'Department deleted' });
   } catch (err) {
     console.error('Delete department error:', err);
@@ -381,412 +1456,2515 @@ app.delete('/api/departments/:id', authenticate, requireRole('admin'), async (re
   }
 });
 
-// ============ EMPLOYEE ROUTES ============
+// ============ STAFFING RULES ============
 
-app.get('/api/employees', authenticate, async (req, res) => {
+app.get('/api/staffing-rules', authenticate, requireRole('admin', 'manager'), async (req, res) => {
   try {
-    const { status, department_id } = req.query;
-    const currentYear = new Date().getFullYear().toString();
-
+    const { department_id } = req.query;
     let query = `
-      SELECT e.*, d.name as department_name
-      FROM employees e
-      LEFT JOIN departments d ON e.department_id = d.id
+      SELECT r.*, d.name as department_name
+      FROM staffing_rules r
+      LEFT JOIN departments d ON r.department_id = d.id
       WHERE 1=1
     `;
     const params = [];
 
-    if (status) {
-      query += ' AND e.status = ?';
-      params.push(status);
-    }
     if (department_id) {
-      query += ' AND e.department_id = ?';
+      query += ' AND r.department_id = ?';
       params.push(department_id);
     }
 
-    query += ' ORDER BY e.last_name, e.first_name';
+    query += ' ORDER BY d.name, r.weekday';
 
     const result = await db.execute(query, params);
 
-    // Get holiday usage for all employees for the current year
-    const holidayUsage = await db.execute(
-      `SELECT employee_id, SUM(days) as used
-       FROM holidays
-       WHERE status = 'approved' AND type = 'annual' AND strftime('%Y', start_date) = ?
-       GROUP BY employee_id`,
-      [currentYear]
-    );
+    res.json(result.rows.map(r => ({
+      id: r.id,
+      department_id: r.department_id,
+      department_name: r.department_name,
+      weekday: r.weekday,
+      min_present: r.min_present,
+      enforcement: r.enforcement
+    })));
+  } catch (err) {
+    console.error('Get staffing rules error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    // Create a map for quick lookup
-    const usageMap = {};
-    holidayUsage.rows.forEach(row => {
-      usageMap[row.employee_id] = row.used || 0;
-    });
+app.post('/api/staffing-rules', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { department_id, weekday, min_present, enforcement } = req.body;
 
-    const employees = result.rows.map(e => {
-      const used = usageMap[e.id] || 0;
-      const remaining = (e.holiday_allowance || 25) - used;
-      return {
-        id: e.id,
-        employee_number: e.employee_number,
-        first_name: e.first_name,
-        last_name: e.last_name,
-        email: e.email,
-        phone: e.phone,
-        department_id: e.department_id,
-        department_name: e.department_name,
-        job_title: e.job_title,
-        start_date: e.start_date,
-        salary: e.salary,
-        holiday_allowance: e.holiday_allowance,
-        holidays_used: used,
-        holidays_remaining: remaining,
-        address: e.address,
-        emergency_contact_name: e.emergency_contact_name,
-        emergency_contact_phone: e.emergency_contact_phone,
-        status: e.status
-      };
-    });
+    if (!department_id || !min_present || min_present < 1) {
+      return res.status(400).json({ error: 'Department and minimum number present required' });
+    }
 
-    res.json(employees);
+    const weekdayValue = weekday === null || weekday === undefined || weekday === '' ? null : parseInt(weekday);
+    if (weekdayValue !== null && (isNaN(weekdayValue) || weekdayValue < 0 || weekdayValue > 6)) {
+      return res.status(400).json({ error: 'Weekday must be 0 (Sunday) to 6 (Saturday)' });
+    }
+
+    if (enforcement && !['block', 'flag'].includes(enforcement)) {
+      return res.status(400).json({ error: "Enforcement must be 'block' or 'flag'" });
+    }
+
+    const deptCheck = await db.execute('SELECT id FROM departments WHERE id = ?', [department_id]);
+    if (deptCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    const result = await db.execute(
+      'INSERT INTO staffing_rules (department_id, weekday, min_present, enforcement) VALUES (?, ?, ?, ?) RETURNING id',
+      [department_id, weekdayValue, min_present, enforcement || 'block']
+    );
+
+    res.status(201).json({ id: result.rows[0].id, department_id, weekday: weekdayValue, min_present, enforcement: enforcement || 'block' });
   } catch (err) {
-    console.error('Get employees error:', err);
+    console.error('Create staffing rule error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/employees/:id', authenticate, async (req, res) => {
+app.delete('/api/staffing-rules/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await db.execute(`
-      SELECT e.*, d.name as department_name
-      FROM employees e
-      LEFT JOIN departments d ON e.department_id = d.id
-      WHERE e.id = ?
-    `, [id]);
+    const result = await db.execute('DELETE FROM staffing_rules WHERE id = ? RETURNING id', [id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
+      return res.status(404).json({ error: 'Staffing rule not found' });
     }
 
-    const e = result.rows[0];
-    res.json({
-      id: e.id,
-      employeeNumber: e.employee_number,
-      firstName: e.first_name,
-      lastName: e.last_name,
-      email: e.email,
-      phone: e.phone,
-      departmentId: e.department_id,
-      department_name: e.department_name,
-      jobTitle: e.job_title,
-      startDate: e.start_date,
-      salary: e.salary,
-      holidayAllowance: e.holiday_allowance,
-      address: e.address,
-      emergencyContactName: e.emergency_contact_name,
-      emergencyContactPhone: e.emergency_contact_phone,
-      status: e.status
-    });
+    res.json({ message: 'Staffing rule deleted' });
   } catch (err) {
-    console.error('Get employee error:', err);
+    console.error('Delete staffing rule error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/employees', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+// Days in a date range where any department is below its minimum staffing (used by the calendar)
+app.get('/api/staffing/shortfalls', authenticate, async (req, res) => {
   try {
-    const {
-      employee_number, first_name, last_name, email, phone,
-      department_id, job_title, start_date, salary, holiday_allowance,
-      address, emergency_contact_name, emergency_contact_phone
-    } = req.body;
+    const { start_date, end_date } = req.query;
 
-    if (!first_name || !last_name || !email) {
-      return res.status(400).json({ error: 'First name, last name, and email required' });
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'Start date and end date required' });
     }
 
-    const emailCheck = await db.execute('SELECT id FROM employees WHERE email = ?', [email]);
-    if (emailCheck.rows.length > 0) {
-      return res.status(400).json({ error: 'Email already exists' });
+    const depts = await db.execute('SELECT DISTINCT department_id FROM staffing_rules');
+    let shortfalls = [];
+    for (const row of depts.rows) {
+      shortfalls = shortfalls.concat(await findStaffingShortfalls(row.department_id, start_date, end_date));
     }
 
-    if (employee_number) {
-      const numCheck = await db.execute('SELECT id FROM employees WHERE employee_number = ?', [employee_number]);
-      if (numCheck.rows.length > 0) {
-        return res.status(400).json({ error: 'Employee number already exists' });
-      }
+    res.json(shortfalls);
+  } catch (err) {
+    console.error('Get staffing shortfalls error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============ LEAVE TYPES ============
+
+function formatLeaveType(t) {
+  return {
+    id: t.id,
+    code: t.code,
+    name: t.name,
+    deducts_allowance: !!t.deducts_allowance,
+    requires_approval: !!t.requires_approval,
+    paid: !!t.paid,
+    color: t.color,
+    yearly_cap: t.yearly_cap,
+    notice_days: t.notice_days,
+    max_consecutive_days: t.max_consecutive_days,
+    max_months_ahead: t.max_months_ahead,
+    allow_past_dates: !!t.allow_past_dates,
+    sickness: !!t.sickness,
+    active: !!t.active
+  };
+}
+
+// Merge the editable leave type fields from a request body over the current values
+function parseLeaveTypeFields(body, current = {}) {
+  const flag = (key, fallback) => (body[key] !== undefined ? (body[key] ? 1 : 0) : fallback);
+  const limit = key => (body[key] !== undefined
+    ? (body[key] === null || body[key] === '' ? null : parseFloat(body[key]))
+    : current[key] ?? null);
+  const fields = {
+    name: body.name !== undefined ? (body.name || '').trim() : current.name,
+    deducts_allowance: flag('deducts_allowance', current.deducts_allowance ?? 0),
+    requires_approval: flag('requires_approval', current.requires_approval ?? 1),
+    paid: flag('paid', current.paid ?? 1),
+    color: body.color !== undefined ? body.color || null : current.color ?? null,
+    yearly_cap: body.yearly_cap !== undefined
+      ? (body.yearly_cap === null || body.yearly_cap === '' ? null : parseFloat(body.yearly_cap))
+      : current.yearly_cap ?? null,
+    notice_days: limit('notice_days'),
+    max_consecutive_days: limit('max_consecutive_days'),
+    max_months_ahead: limit('max_months_ahead'),
+    allow_past_dates: flag('allow_past_dates', current.allow_past_dates ?? 0),
+    sickness: flag('sickness', current.sickness ?? 0),
+    active: flag('active', current.active ?? 1)
+  };
+
+  if (!fields.name) {
+    return { error: 'Name required' };
+  }
+  if (fields.color && !/^#[0-9a-fA-F]{6}$/.test(fields.color)) {
+    return { error: 'Colour must be a hex value such as #dbeafe' };
+  }
+  if (fields.yearly_cap !== null && (isNaN(fields.yearly_cap) || fields.yearly_cap <= 0)) {
+    return { error: 'Yearly cap must be a positive number of days' };
+  }
+  if (fields.notice_days !== null && (!Number.isInteger(fields.notice_days) || fields.notice_days < 0)) {
+    return { error: 'Notice must be a whole number of days' };
+  }
+  if (fields.max_consecutive_days !== null && (isNaN(fields.max_consecutive_days) || fields.max_consecutive_days <= 0)) {
+    return { error: 'Maximum consecutive days must be a positive number' };
+  }
+  if (fields.max_months_ahead !== null && (!Number.isInteger(fields.max_months_ahead) || fields.max_months_ahead <= 0)) {
+    return { error: 'Booking window must be a whole number of months' };
+  }
+  return { fields };
+}
+
+app.get('/api/leave-types', authenticate, async (req, res) => {
+  try {
+    const result = await db.execute('SELECT * FROM leave_types ORDER BY id');
+    res.json(result.rows.map(formatLeaveType));
+  } catch (err) {
+    console.error('Get leave types error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/leave-types', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const code = (req.body.code || '').trim().toLowerCase();
+    if (!/^[a-z0-9_]+$/.test(code)) {
+      return res.status(400).json({ error: 'Code required (letters, numbers and underscores only)' });
+    }
+
+    const { fields, error } = parseLeaveTypeFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await db.execute('SELECT id FROM leave_types WHERE code = ?', [code]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: 'A leave type with that code already exists' });
     }
 
     const result = await db.execute(`
-      INSERT INTO employees (
-        employee_number, first_name, last_name, email, phone,
-        department_id, job_title, start_date, salary, holiday_allowance,
-        address, emergency_contact_name, emergency_contact_phone, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id
+      INSERT INTO leave_types (
+        code, name, deducts_allowance, requires_approval, paid, color, yearly_cap,
+        notice_days, max_consecutive_days, max_months_ahead, allow_past_dates, sickness, active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *
     `, [
-      employee_number || null, first_name, last_name, email, phone || null,
-      department_id || null, job_title || null, start_date || null, salary || null,
-      holiday_allowance || 25, address || null, emergency_contact_name || null,
-      emergency_contact_phone || null, 'active'
+      code, fields.name, fields.deducts_allowance, fields.requires_approval, fields.paid, fields.color, fields.yearly_cap,
+      fields.notice_days, fields.max_consecutive_days, fields.max_months_ahead, fields.allow_past_dates, fields.sickness, fields.active
     ]);
 
-    res.status(201).json({ id: result.rows[0].id, first_name, last_name, email });
+    res.status(201).json(formatLeaveType(result.rows[0]));
   } catch (err) {
-    console.error('Create employee error:', err);
+    console.error('Create leave type error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.put('/api/employees/:id', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+// The code can't be changed once created because bookings refer to it
+app.put('/api/leave-types/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const {
-      employee_number, first_name, last_name, email, phone,
-      department_id, job_title, start_date, salary, holiday_allowance,
-      address, emergency_contact_name, emergency_contact_phone, status
-    } = req.body;
 
-    const existing = await db.execute('SELECT id FROM employees WHERE id = ?', [id]);
+    const existing = await db.execute('SELECT * FROM leave_types WHERE id = ?', [id]);
     if (existing.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
+      return res.status(404).json({ error: 'Leave type not found' });
     }
 
-    await db.execute(`
-      UPDATE employees SET
-        employee_number = ?, first_name = ?, last_name = ?, email = ?, phone = ?,
-        department_id = ?, job_title = ?, start_date = ?, salary = ?, holiday_allowance = ?,
-        address = ?, emergency_contact_name = ?, emergency_contact_phone = ?, status = ?,
-        updated_at = ?
-      WHERE id = ?
+    const { fields, error } = parseLeaveTypeFields(req.body, existing.rows[0]);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.execute(`
+      UPDATE leave_types SET name = ?, deducts_allowance = ?, requires_approval = ?, paid = ?, color = ?, yearly_cap = ?,
+        notice_days = ?, max_consecutive_days = ?, max_months_ahead = ?, allow_past_dates = ?, sickness = ?, active = ?
+      WHERE id = ? RETURNING *
     `, [
-      employee_number || null, first_name, last_name, email, phone || null,
-      department_id || null, job_title || null, start_date || null, salary || null,
-      holiday_allowance || 25, address || null, emergency_contact_name || null,
-      emergency_contact_phone || null, status || 'active', new Date().toISOString(), id
+      fields.name, fields.deducts_allowance, fields.requires_approval, fields.paid, fields.color, fields.yearly_cap,
+      fields.notice_days, fields.max_consecutive_days, fields.max_months_ahead, fields.allow_past_dates, fields.sickness,
+      fields.active, id
     ]);
 
-    res.json({ message: 'Employee updated' });
+    res.json(formatLeaveType(result.rows[0]));
   } catch (err) {
-    console.error('Update employee error:', err);
+    console.error('Update leave type error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.delete('/api/employees/:id', authenticate, requireRole('admin'), async (req, res) => {
+app.delete('/api/leave-types/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await db.execute('DELETE FROM employees WHERE id = ? RETURNING id', [id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
+    const existing = await db.execute('SELECT code FROM leave_types WHERE id = ?', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Leave type not found' });
     }
 
-    // Also delete their holidays and time entries
-    await db.execute('DELETE FROM holidays WHERE employee_id = ?', [id]);
-    await db.execute('DELETE FROM time_entries WHERE employee_id = ?', [id]);
+    const inUse = await db.execute('SELECT COUNT(*) as count FROM holidays WHERE type = ?', [existing.rows[0].code]);
+    if (inUse.rows[0].count > 0) {
+      return res.status(400).json({ error: 'Leave type has bookings; deactivate it instead' });
+    }
 
-    res.json({ message: 'Employee deleted' });
+    await db.execute('DELETE FROM leave_types WHERE id = ?', [id]);
+    res.json({ message: 'Leave type deleted' });
   } catch (err) {
-    console.error('Delete employee error:', err);
+    console.error('Delete leave type error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// ============ HOLIDAY ROUTES ============
+// ============ COMPANY CLOSURES ============
+
+function formatClosure(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    start_date: c.start_date,
+    end_date: c.end_date,
+    mode: c.mode,
+    leave_type: c.leave_type,
+    department_ids: scopedDepartments(c),
+    created_at: c.created_at
+  };
+}
 
-app.get('/api/holidays', authenticate, async (req, res) => {
-  try {
-    const { employee_id, year, month } = req.query;
-    let query = `
-      SELECT h.*, e.first_name, e.last_name
-      FROM holidays h
-      LEFT JOIN employees e ON h.employee_id = e.id
-      WHERE 1=1
-    `;
-    const params = [];
+// Book a deduct-mode closure as approved leave for an employee it covers, limited to the days they are
+// employed. Days they already have leave on are left out so they aren't taken twice. Returns true if booked.
+async function applyClosureToEmployee(closure, employee, userId) {
+  if (closure.mode !== 'deduct' || employee.status !== 'active' || !appliesToDepartment(closure, employee.department_id)) {
+    return false;
+  }
 
-    if (employee_id) {
-      query += ' AND h.employee_id = ?';
-      params.push(employee_id);
-    }
+  const startDate = employee.start_date && employee.start_date > closure.start_date ? employee.start_date : closure.start_date;
+  const endDate = employee.leaving_date && employee.leaving_date < closure.end_date ? employee.leaving_date : closure.end_date;
+  if (endDate < startDate) return false;
 
-    query += ' ORDER BY h.start_date DESC';
+  const existing = await db.execute('SELECT id FROM holidays WHERE closure_id = ? AND employee_id = ?', [closure.id, employee.id]);
+  if (existing.rows.length > 0) return false;
 
-    const result = await db.execute(query, params);
+  const booked = await bookedLeaveDates(employee.id, startDate, endDate);
+  const breakdown = (await getWorkingDayBreakdown(employee.id, startDate, endDate)).filter(day => !booked.has(day.date));
+  const days = sumBreakdown(breakdown);
 
-    let holidays = result.rows.map(h => ({
-      id: h.id,
-      employee_id: h.employee_id,
-      employee_name: h.first_name && h.last_name ? `${h.first_name} ${h.last_name}` : 'Unknown',
-      first_name: h.first_name,
-      last_name: h.last_name,
-      start_date: h.start_date,
-      end_date: h.end_date,
-      days: h.days,
-      type: h.type,
-      notes: h.notes,
-      status: h.status,
-      created_at: h.created_at
-    }));
+  const result = await db.execute(`
+    INSERT INTO holidays (employee_id, start_date, end_date, days, type, notes, status, approved_by, approved_at, closure_id)
+    VALUES (?, ?, ?, ?, ?, ?, 'approved', ?, ?, ?) RETURNING id
+  `, [employee.id, startDate, endDate, days, closure.leave_type, closure.name, userId, new Date().toISOString(), closure.id]);
 
-    if (year) {
-      holidays = holidays.filter(h => new Date(h.start_date).getFullYear().toString() === year);
-    }
-    if (month) {
-      holidays = holidays.filter(h => (new Date(h.start_date).getMonth() + 1).toString().padStart(2, '0') === month.padStart(2, '0'));
+  const holidayId = result.rows[0].id;
+  await saveHolidayDays(holidayId, employee.id, breakdown);
+  await recordHolidayStatus(holidayId, 'approved', userId, `Company closure: ${closure.name}`);
+  return true;
+}
+
+// Remove the leave a closure booked, restoring the balances it came out of. Returns how many bookings went.
+async function removeClosureLeave(closureId, employeeId = null) {
+  let where = 'closure_id = ?';
+  const params = [closureId];
+  if (employeeId) {
+    where += ' AND employee_id = ?';
+    params.push(employeeId);
+  }
+
+  await db.execute(`DELETE FROM holiday_status_history WHERE holiday_id IN (SELECT id FROM holidays WHERE ${where})`, params);
+  await db.execute(`DELETE FROM holiday_attachments WHERE holiday_id IN (SELECT id FROM holidays WHERE ${where})`, params);
+  await db.execute(`DELETE FROM holiday_days WHERE holiday_id IN (SELECT id FROM holidays WHERE ${where})`, params);
+  const result = await db.execute(`DELETE FROM holidays WHERE ${where} RETURNING id`, params);
+  return result.rows.length;
+}
+
+// Recalculate leave overlapping a non-working closure, whose days stop (or start again) counting
+async function recalculateClosurePeriod(closure, employeeId = null) {
+  let query = "SELECT * FROM holidays WHERE status IN ('approved', 'pending') AND start_date <= ? AND end_date >= ?";
+  const params = [closure.end_date, closure.start_date];
+  if (employeeId) {
+    query += ' AND employee_id = ?';
+    params.push(employeeId);
+  }
+
+  const affected = await db.execute(query, params);
+  for (const holiday of affected.rows) {
+    await recalculateHoliday(holiday);
+  }
+  return affected.rows.length;
+}
+
+// Bring an employee's closure leave in line with their record: new joiners pick up the closures that
+// cover them, and anyone who has moved department gains or loses closures accordingly
+async function syncEmployeeClosures(employeeId, userId) {
+  const empResult = await db.execute('SELECT * FROM employees WHERE id = ?', [employeeId]);
+  const employee = empResult.rows[0];
+  if (!employee) return;
+
+  const closures = await db.execute('SELECT * FROM company_closures ORDER BY start_date');
+  for (const closure of closures.rows) {
+    if (closure.mode === 'non_working') {
+      await recalculateClosurePeriod(closure, employee.id);
+    } else if (appliesToDepartment(closure, employee.department_id)) {
+      await applyClosureToEmployee(closure, employee, userId);
+    } else {
+      await removeClosureLeave(closure.id, employee.id);
     }
+  }
+}
 
-    res.json(holidays);
+app.get('/api/closures', authenticate, async (req, res) => {
+  try {
+    const result = await db.execute(`
+      SELECT c.*, (SELECT COUNT(*) FROM holidays WHERE closure_id = c.id) as bookings
+      FROM company_closures c
+      ORDER BY c.start_date DESC
+    `);
+    res.json(result.rows.map(c => ({ ...formatClosure(c), bookings: c.bookings })));
   } catch (err) {
-    console.error('Get holidays error:', err);
+    console.error('Get closures error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/holidays', authenticate, async (req, res) => {
+// `department_ids` limits the closure to those departments; leave it out to close the whole company.
+// Deduct-mode closures are booked as `leave_type` for every active employee they cover.
+app.post('/api/closures', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { employee_id, start_date, end_date, type, notes, is_half_day, half_day_period } = req.body;
-
-    const targetEmployeeId = employee_id || req.user.employeeId;
+    const { name, start_date, end_date } = req.body;
+    const mode = req.body.mode || 'deduct';
 
-    if (req.user.role === 'employee' && targetEmployeeId !== req.user.employeeId) {
-      return res.status(403).json({ error: 'Cannot book holidays for others' });
+    if (!name || !start_date || !end_date) {
+      return res.status(400).json({ error: 'Name, start date and end date required' });
     }
-
-    if (!targetEmployeeId || !start_date || !end_date) {
-      return res.status(400).json({ error: 'Employee, start date, and end date required' });
+    if (end_date < start_date) {
+      return res.status(400).json({ error: 'End date cannot be before start date' });
     }
-
-    const empCheck = await db.execute('SELECT id FROM employees WHERE id = ?', [targetEmployeeId]);
-    if (empCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
+    if (!CLOSURE_MODES.includes(mode)) {
+      return res.status(400).json({ error: "Mode must be 'deduct' or 'non_working'" });
     }
 
-    let days;
-    if (is_half_day) {
-      days = 0.5;
-    } else {
-      days = await calculateWorkingDays(start_date, end_date);
+    let leaveTypeCode = null;
+    if (mode === 'deduct') {
+      const leaveType = await getLeaveType(req.body.leave_type || 'annual');
+      if (!leaveType || !leaveType.active) {
+        return res.status(400).json({ error: 'Unknown leave type' });
+      }
+      leaveTypeCode = leaveType.code;
     }
 
-    // Store half day info in notes if applicable
-    const finalNotes = is_half_day
-      ? `${half_day_period || 'AM'} half day${notes ? '. ' + notes : ''}`
-      : notes || null;
+    let departmentIds = null;
+    if (Array.isArray(req.body.department_ids) && req.body.department_ids.length > 0) {
+      departmentIds = req.body.department_ids.map(id => parseInt(id));
+      if (departmentIds.some(id => isNaN(id))) {
+        return res.status(400).json({ error: 'Invalid department' });
+      }
+    }
 
     const result = await db.execute(`
-      INSERT INTO holidays (employee_id, start_date, end_date, days, type, notes, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id
-    `, [targetEmployeeId, start_date, end_date, days, type || 'annual', finalNotes, 'approved']);
+      INSERT INTO company_closures (name, start_date, end_date, mode, leave_type, department_ids, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *
+    `, [name.trim(), start_date, end_date, mode, leaveTypeCode, departmentIds ? JSON.stringify(departmentIds) : null, req.user.id]);
+    const closure = result.rows[0];
+
+    let bookings = 0;
+    let recalculated = 0;
+    if (mode === 'deduct') {
+      const employees = await db.execute("SELECT * FROM employees WHERE status = 'active'");
+      for (const employee of employees.rows) {
+        if (await applyClosureToEmployee(closure, employee, req.user.id)) bookings++;
+      }
+    } else {
+      recalculated = await recalculateClosurePeriod(closure);
+    }
 
-    res.status(201).json({ id: result.rows[0].id, employee_id: targetEmployeeId, start_date, end_date, days });
+    res.status(201).json({ ...formatClosure(closure), bookings, recalculated_bookings: recalculated });
   } catch (err) {
-    console.error('Create holiday error:', err);
+    console.error('Create closure error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.put('/api/holidays/:id', authenticate, async (req, res) => {
+// Undoing a closure removes the leave it booked (or counts its days as working days again)
+app.delete('/api/closures/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { start_date, end_date, type, notes, status, is_half_day, half_day_period } = req.body;
 
-    const existing = await db.execute('SELECT * FROM holidays WHERE id = ?', [id]);
-    if (existing.rows.length === 0) {
-      return res.status(404).json({ error: 'Holiday not found' });
+    const result = await db.execute('DELETE FROM company_closures WHERE id = ? RETURNING *', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Closure not found' });
     }
 
-    const holiday = existing.rows[0];
+    const closure = result.rows[0];
+    const removed = await removeClosureLeave(closure.id);
+    const recalculated = closure.mode === 'non_working' ? await recalculateClosurePeriod(closure) : 0;
 
-    if (req.user.role === 'employee' && holiday.employee_id.toString() !== req.user.employeeId) {
-      return res.status(403).json({ error: 'Cannot edit others holidays' });
-    }
+    res.json({ message: 'Closure deleted', removed_bookings: removed, recalculated_bookings: recalculated });
+  } catch (err) {
+    console.error('Delete closure error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const newStartDate = start_date || holiday.start_date;
-    const newEndDate = end_date || holiday.end_date;
+// ============ BLACKOUT PERIODS ============
 
-    let days;
-    if (is_half_day) {
-      days = 0.5;
-    } else {
-      days = await calculateWorkingDays(newStartDate, newEndDate);
+app.get('/api/blackouts', authenticate, async (req, res) => {
+  try {
+    const result = await db.execute('SELECT * FROM blackout_periods ORDER BY start_date DESC');
+    res.json(result.rows.map(formatBlackout));
+  } catch (err) {
+    console.error('Get blackouts error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// `department_ids` limits the blackout to those departments (everyone if left out);
+// `exempt_types` lists leave type codes that can still be booked, such as sick leave
+app.post('/api/blackouts', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, start_date, end_date } = req.body;
+
+    if (!name || !start_date || !end_date) {
+      return res.status(400).json({ error: 'Name, start date and end date required' });
+    }
+    if (end_date < start_date) {
+      return res.status(400).json({ error: 'End date cannot be before start date' });
     }
 
-    // Handle notes with half day info
-    let finalNotes = notes !== undefined ? notes : holiday.notes;
-    if (is_half_day) {
-      finalNotes = `${half_day_period || 'AM'} half day${notes ? '. ' + notes : ''}`;
+    let departmentIds = null;
+    if (Array.isArray(req.body.department_ids) && req.body.department_ids.length > 0) {
+      departmentIds = req.body.department_ids.map(id => parseInt(id));
+      if (departmentIds.some(id => isNaN(id))) {
+        return res.status(400).json({ error: 'Invalid department' });
+      }
     }
 
-    await db.execute(`
-      UPDATE holidays SET start_date = ?, end_date = ?, days = ?, type = ?, notes = ?, status = ?
-      WHERE id = ?
-    `, [newStartDate, newEndDate, days, type || holiday.type, finalNotes, status || holiday.status, id]);
+    const exemptTypes = Array.isArray(req.body.exempt_types) ? req.body.exempt_types : [];
+    for (const code of exemptTypes) {
+      if (!(await getLeaveType(code))) {
+        return res.status(400).json({ error: `Unknown leave type: ${code}` });
+      }
+    }
+
+    const result = await db.execute(`
+      INSERT INTO blackout_periods (name, start_date, end_date, department_ids, exempt_types, created_by)
+      VALUES (?, ?, ?, ?, ?, ?) RETURNING *
+    `, [
+      name.trim(), start_date, end_date, departmentIds ? JSON.stringify(departmentIds) : null,
+      exemptTypes.length > 0 ? JSON.stringify(exemptTypes) : null, req.user.id
+    ]);
 
-    res.json({ message: 'Holiday updated' });
+    res.status(201).json(formatBlackout(result.rows[0]));
   } catch (err) {
-    console.error('Update holiday error:', err);
+    console.error('Create blackout error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.delete('/api/holidays/:id', authenticate, async (req, res) => {
+app.delete('/api/blackouts/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const existing = await db.execute('SELECT * FROM holidays WHERE id = ?', [id]);
-    if (existing.rows.length === 0) {
-      return res.status(404).json({ error: 'Holiday not found' });
+    const result = await db.execute('DELETE FROM blackout_periods WHERE id = ? RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Blackout period not found' });
     }
+    res.json({ message: 'Blackout period deleted' });
+  } catch (err) {
+    console.error('Delete blackout error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const holiday = existing.rows[0];
-
-    if (req.user.role === 'employee' && holiday.employee_id.toString() !== req.user.employeeId) {
-      return res.status(403).json({ error: 'Cannot delete others holidays' });
-    }
+// ============ ENTITLEMENT TIERS ============
 
-    await db.execute('DELETE FROM holidays WHERE id = ?', [id]);
-    res.json({ message: 'Holiday deleted' });
+app.get('/api/entitlement-tiers', authenticate, async (req, res) => {
+  try {
+    const tiers = await getEntitlementTiers();
+    res.json(tiers.map(formatEntitlementTier));
   } catch (err) {
-    console.error('Delete holiday error:', err);
+    console.error('Get entitlement tiers error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/holidays/summary/:employeeId', authenticate, async (req, res) => {
-  try {
-    const { employeeId } = req.params;
-    const year = req.query.year || new Date().getFullYear();
+// Validated columns for a tier from a request body, or { error }
+function parseEntitlementTierFields(body) {
+  const { name, contract_type } = body;
+  const minYears = Number(body.min_years);
+  const allowance = Number(body.allowance);
 
-    const empResult = await db.execute('SELECT holiday_allowance FROM employees WHERE id = ?', [employeeId]);
-    if (empResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Employee not found' });
+  if (!name || body.min_years === undefined || body.min_years === '' || body.allowance === undefined || body.allowance === '') {
+    return { error: 'Name, years of service and allowance required' };
+  }
+  if (!Number.isInteger(minYears) || minYears < 0) {
+    return { error: 'Years of service must be a whole number of 0 or more' };
+  }
+  if (isNaN(allowance) || allowance <= 0 || allowance * 2 !== Math.round(allowance * 2)) {
+    return { error: 'Allowance must be a positive number of days, in half days' };
+  }
+  if (contract_type && !CONTRACT_TYPES.includes(contract_type)) {
+    return { error: `Contract type must be one of: ${CONTRACT_TYPES.join(', ')}` };
+  }
+
+  let departmentIds = null;
+  if (Array.isArray(body.department_ids) && body.department_ids.length > 0) {
+    departmentIds = body.department_ids.map(id => parseInt(id));
+    if (departmentIds.some(id => isNaN(id))) {
+      return { error: 'Invalid department' };
     }
+  }
 
-    const allowance = empResult.rows[0].holiday_allowance;
+  return {
+    fields: {
+      name: name.trim(),
+      min_years: minYears,
+      allowance,
+      department_ids: departmentIds ? JSON.stringify(departmentIds) : null,
+      contract_type: contract_type || null
+    }
+  };
+}
+
+// A tier gives everyone with at least `min_years` of service `allowance` days a year, from the leave year
+// after they reach it. `department_ids` and `contract_type` narrow who it covers (everyone if left out).
+app.post('/api/entitlement-tiers', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { fields, error } = parseEntitlementTierFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.execute(`
+      INSERT INTO entitlement_tiers (name, min_years, allowance, department_ids, contract_type)
+      VALUES (?, ?, ?, ?, ?) RETURNING *
+    `, [fields.name, fields.min_years, fields.allowance, fields.department_ids, fields.contract_type]);
+
+    res.status(201).json(formatEntitlementTier(result.rows[0]));
+  } catch (err) {
+    console.error('Create entitlement tier error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.put('/api/entitlement-tiers/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { fields, error } = parseEntitlementTierFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.execute(`
+      UPDATE entitlement_tiers SET name = ?, min_years = ?, allowance = ?, department_ids = ?, contract_type = ?
+      WHERE id = ? RETURNING *
+    `, [fields.name, fields.min_years, fields.allowance, fields.department_ids, fields.contract_type, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Entitlement tier not found' });
+    }
+    res.json(formatEntitlementTier(result.rows[0]));
+  } catch (err) {
+    console.error('Update entitlement tier error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/entitlement-tiers/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.execute('DELETE FROM entitlement_tiers WHERE id = ? RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Entitlement tier not found' });
+    }
+    res.json({ message: 'Entitlement tier deleted' });
+  } catch (err) {
+    console.error('Delete entitlement tier error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============ EMPLOYEE ROUTES ============
+
+app.get('/api/employees', authenticate, async (req, res) => {
+  try {
+    const { status, department_id } = req.query;
+
+    let query = `
+      SELECT e.*, d.name as department_name, d.holiday_calendar_id as department_calendar_id
+      FROM employees e
+      LEFT JOIN departments d ON e.department_id = d.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND e.status = ?';
+      params.push(status);
+    }
+    if (department_id) {
+      query += ' AND e.department_id = ?';
+      params.push(department_id);
+    }
+
+    query += ' ORDER BY e.last_name, e.first_name';
+
+    const result = await db.execute(query, params);
+
+    // Each employee's balance for their current leave year
+    const settings = await getSettings();
+    const balances = await getLeaveBalances(result.rows, settings);
+    const tiers = await getEntitlementTiers();
+    const defaultCalendarId = await getDefaultHolidayCalendarId();
+
+    const employees = result.rows.map(e => {
+      const { year, balance } = balances[e.id];
+      return {
+        id: e.id,
+        employee_number: e.employee_number,
+        first_name: e.first_name,
+        last_name: e.last_name,
+        email: e.email,
+        phone: e.phone,
+        department_id: e.department_id,
+        department_name: e.department_name,
+        job_title: e.job_title,
+        start_date: e.start_date,
+        leaving_date: e.leaving_date,
+        salary: e.salary,
+        holiday_allowance: e.holiday_allowance,
+        contract_type: e.contract_type,
+        holiday_calendar_id: e.holiday_calendar_id,
+        effective_holiday_calendar_id: e.holiday_calendar_id || e.department_calendar_id || defaultCalendarId,
+        ...employeeTierSummary(e, tiers),
+        leave_year: year,
+        leave_year_label: leaveYearLabel(year, settings),
+        leave_year_allowance: balance.in_days ? balance.in_days.allowance : balance.allowance,
+        leave_unit: balance.unit,
+        holidays_entitled: balance.entitled,
+        holidays_accrued: balance.accrued,
+        holidays_adjustments: balance.adjustments,
+        holidays_carried_over: balance.carried_remaining,
+        carry_over_max_days: e.carry_over_max_days,
+        holidays_used: balance.used,
+        holidays_booked: balance.booked,
+        holidays_pending: balance.pending,
+        holidays_remaining: balance.remaining,
+        holidays_remaining_days: balance.in_days ? balance.in_days.remaining : balance.remaining,
+        holidays_projected: balance.projected_remaining,
+        holidays_projected_over_cap: daysOverCarryOverCap(e, balance, settings),
+        address: e.address,
+        emergency_contact_name: e.emergency_contact_name,
+        emergency_contact_phone: e.emergency_contact_phone,
+        status: e.status
+      };
+    });
+
+    res.json(employees);
+  } catch (err) {
+    console.error('Get employees error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/employees/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await db.execute(`
+      SELECT e.*, d.name as department_name
+      FROM employees e
+      LEFT JOIN departments d ON e.department_id = d.id
+      WHERE e.id = ?
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const e = result.rows[0];
+    const tierSummary = employeeTierSummary(e, await getEntitlementTiers());
+    res.json({
+      id: e.id,
+      employeeNumber: e.employee_number,
+      firstName: e.first_name,
+      lastName: e.last_name,
+      email: e.email,
+      phone: e.phone,
+      departmentId: e.department_id,
+      department_name: e.department_name,
+      jobTitle: e.job_title,
+      startDate: e.start_date,
+      leavingDate: e.leaving_date,
+      salary: e.salary,
+      holidayAllowance: e.holiday_allowance,
+      contractType: e.contract_type,
+      holidayCalendarId: e.holiday_calendar_id,
+      effectiveHolidayCalendarId: await getEmployeeHolidayCalendarId(e.id),
+      serviceYears: tierSummary.service_years,
+      entitlementTier: tierSummary.entitlement_tier,
+      nextEntitlementTier: tierSummary.next_entitlement_tier,
+      leaveUnit: e.leave_unit,
+      carryOverMaxDays: e.carry_over_max_days,
+      address: e.address,
+      emergencyContactName: e.emergency_contact_name,
+      emergencyContactPhone: e.emergency_contact_phone,
+      status: e.status
+    });
+  } catch (err) {
+    console.error('Get employee error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// A holiday allowance from a request body as a number, null if not given (for the company default),
+// or undefined if it isn't a valid number of days. An allowance of 0 is valid.
+function parseHolidayAllowance(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const allowance = Number(value);
+  return isNaN(allowance) || allowance < 0 ? undefined : allowance;
+}
+
+app.post('/api/employees', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const {
+      employee_number, first_name, last_name, email, phone,
+      department_id, job_title, start_date, leaving_date, salary, holiday_allowance,
+      leave_unit, carry_over_max_days, contract_type, holiday_calendar_id, address, emergency_contact_name, emergency_contact_phone
+    } = req.body;
+
+    if (!first_name || !last_name || !email) {
+      return res.status(400).json({ error: 'First name, last name, and email required' });
+    }
+    if (holiday_calendar_id && !(await getHolidayCalendar(holiday_calendar_id))) {
+      return res.status(400).json({ error: 'Holiday calendar not found' });
+    }
+    const allowance = parseHolidayAllowance(holiday_allowance);
+    if (allowance === undefined) {
+      return res.status(400).json({ error: 'Holiday allowance must be a number of days, 0 or more' });
+    }
+
+    if (leave_unit && !LEAVE_UNITS.includes(leave_unit)) {
+      return res.status(400).json({ error: "Leave unit must be 'days' or 'hours'" });
+    }
+    if (contract_type && !CONTRACT_TYPES.includes(contract_type)) {
+      return res.status(400).json({ error: `Contract type must be one of: ${CONTRACT_TYPES.join(', ')}` });
+    }
+
+    const emailCheck = await db.execute('SELECT id FROM employees WHERE email = ?', [email]);
+    if (emailCheck.rows.length > 0) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+
+    if (employee_number) {
+      const numCheck = await db.execute('SELECT id FROM employees WHERE employee_number = ?', [employee_number]);
+      if (numCheck.rows.length > 0) {
+        return res.status(400).json({ error: 'Employee number already exists' });
+      }
+    }
+
+    const result = await db.execute(`
+      INSERT INTO employees (
+        employee_number, first_name, last_name, email, phone,
+        department_id, job_title, start_date, leaving_date, salary, holiday_allowance,
+        leave_unit, carry_over_max_days, contract_type, holiday_calendar_id, address, emergency_contact_name,
+        emergency_contact_phone, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id
+    `, [
+      employee_number || null, first_name, last_name, email, phone || null,
+      department_id || null, job_title || null, start_date || null, leaving_date || null, salary || null,
+      allowance ?? (await getSettings()).default_holiday_allowance, leave_unit || 'days', carry_over_max_days ?? null, contract_type || null,
+      holiday_calendar_id || null, address || null, emergency_contact_name || null, emergency_contact_phone || null, 'active'
+    ]);
+
+    await syncEmployeeClosures(result.rows[0].id, req.user.id);
+
+    res.status(201).json({ id: result.rows[0].id, first_name, last_name, email });
+  } catch (err) {
+    console.error('Create employee error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Statements that move an employee onto a new allowance from their current leave year, first recording
+// the old one against each earlier year of their employment that has none yet
+function allowanceChangeStatements(employee, newAllowance, settings) {
+  const currentYear = currentLeaveYear(settings, employee);
+  const firstYear = employee.start_date ? Math.min(leaveYearOf(employee.start_date, settings, employee), currentYear) : currentYear;
+  const statements = [];
+  for (let year = firstYear; year < currentYear; year++) {
+    statements.push({
+      sql: 'INSERT OR IGNORE INTO leave_year_allowances (employee_id, year, allowance) VALUES (?, ?, ?)',
+      args: [employee.id, year, allowanceForYear(employee, settings)]
+    });
+  }
+  statements.push({
+    sql: 'UPDATE leave_year_allowances SET allowance = ?, entitlement_tier = NULL WHERE employee_id = ? AND year >= ?',
+    args: [newAllowance, employee.id, currentYear]
+  });
+  return statements;
+}
+
+app.put('/api/employees/:id', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      employee_number, first_name, last_name, email, phone,
+      department_id, job_title, start_date, leaving_date, salary, holiday_allowance,
+      leave_unit, carry_over_max_days, contract_type, holiday_calendar_id, address, emergency_contact_name,
+      emergency_contact_phone, status
+    } = req.body;
+
+    const existing = await db.execute('SELECT * FROM employees WHERE id = ?', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (holiday_calendar_id && !(await getHolidayCalendar(holiday_calendar_id))) {
+      return res.status(400).json({ error: 'Holiday calendar not found' });
+    }
+    const allowance = parseHolidayAllowance(holiday_allowance);
+    if (allowance === undefined) {
+      return res.status(400).json({ error: 'Holiday allowance must be a number of days, 0 or more' });
+    }
+
+    if (leave_unit && !LEAVE_UNITS.includes(leave_unit)) {
+      return res.status(400).json({ error: "Leave unit must be 'days' or 'hours'" });
+    }
+    if (contract_type && !CONTRACT_TYPES.includes(contract_type)) {
+      return res.status(400).json({ error: `Contract type must be one of: ${CONTRACT_TYPES.join(', ')}` });
+    }
+
+    // Left out, the employee keeps their calendar, carry-over cap and leave unit
+    const leaveUnit = leave_unit === undefined ? existing.rows[0].leave_unit : leave_unit || 'days';
+    const calendarId = holiday_calendar_id === undefined ? existing.rows[0].holiday_calendar_id : Number(holiday_calendar_id) || null;
+    const carryOverCapDays = carry_over_max_days === undefined ? existing.rows[0].carry_over_max_days : carry_over_max_days ?? null;
+    const previousCalendarId = await getEmployeeHolidayCalendarId(id);
+    const settings = await getSettings();
+    // Left out, the allowance stays as it is; blank means the company default
+    const newAllowance = holiday_allowance === undefined
+      ? existing.rows[0].holiday_allowance
+      : allowance ?? settings.default_holiday_allowance;
+
+    await db.execute(`
+      UPDATE employees SET
+        employee_number = ?, first_name = ?, last_name = ?, email = ?, phone = ?,
+        department_id = ?, job_title = ?, start_date = ?, leaving_date = ?, salary = ?, holiday_allowance = ?,
+        leave_unit = ?, carry_over_max_days = ?, contract_type = ?, holiday_calendar_id = ?, address = ?,
+        emergency_contact_name = ?, emergency_contact_phone = ?, status = ?, updated_at = ?
+      WHERE id = ?
+    `, [
+      employee_number || null, first_name, last_name, email, phone || null,
+      department_id || null, job_title || null, start_date || null, leaving_date || null, salary || null,
+      newAllowance, leaveUnit, carryOverCapDays,
+      contract_type || null, calendarId,
+      address || null, emergency_contact_name || null, emergency_contact_phone || null, status || 'active',
+      new Date().toISOString(), id
+    ]);
+
+    // A new allowance applies from the current leave year on; earlier years keep the one they had
+    if (newAllowance !== existing.rows[0].holiday_allowance) {
+      await db.batch(allowanceChangeStatements(existing.rows[0], newAllowance, settings));
+    }
+
+    await syncEmployeeClosures(id, req.user.id);
+
+    // A different set of public holidays changes the working days in their upcoming leave
+    let recalculated = 0;
+    if (await getEmployeeHolidayCalendarId(id) !== previousCalendarId) {
+      recalculated = await recalculateUpcomingLeave([parseInt(id)]);
+    }
+
+    res.json({ message: 'Employee updated', recalculated_bookings: recalculated });
+  } catch (err) {
+    console.error('Update employee error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/employees/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.execute('DELETE FROM employees WHERE id = ? RETURNING id', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    // Also delete their holidays and time entries
+    await db.execute('DELETE FROM holiday_status_history WHERE holiday_id IN (SELECT id FROM holidays WHERE employee_id = ?)', [id]);
+    await db.execute('DELETE FROM holiday_attachments WHERE holiday_id IN (SELECT id FROM holidays WHERE employee_id = ?)', [id]);
+    await db.execute('DELETE FROM holiday_days WHERE employee_id = ?', [id]);
+    await db.execute('DELETE FROM holidays WHERE employee_id = ?', [id]);
+    await db.execute('DELETE FROM leave_ledger WHERE employee_id = ?', [id]);
+    await db.execute('DELETE FROM leave_year_allowances WHERE employee_id = ?', [id]);
+    await db.execute('DELETE FROM working_patterns WHERE employee_id = ?', [id]);
+    await db.execute('DELETE FROM time_entries WHERE employee_id = ?', [id]);
+
+    res.json({ message: 'Employee deleted' });
+  } catch (err) {
+    console.error('Delete employee error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Working patterns: hours worked on each weekday, from an effective date until the next pattern
+app.get('/api/employees/:id/working-patterns', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role === 'employee' && id !== req.user.employeeId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const result = await db.execute(
+      'SELECT * FROM working_patterns WHERE employee_id = ? ORDER BY effective_from',
+      [id]
+    );
+
+    res.json(result.rows.map(p => ({
+      id: p.id,
+      employee_id: p.employee_id,
+      effective_from: p.effective_from,
+      hours: JSON.parse(p.hours_json),
+      created_at: p.created_at
+    })));
+  } catch (err) {
+    console.error('Get working patterns error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// `hours` is seven numbers, Sunday first. A pattern with the same effective date replaces the old one,
+// and bookings from that date on are recalculated.
+app.post('/api/employees/:id/working-patterns', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { effective_from, hours } = req.body;
+
+    if (!effective_from) {
+      return res.status(400).json({ error: 'Effective date required' });
+    }
+
+    const weekHours = Array.isArray(hours) ? hours.map(h => parseFloat(h) || 0) : [];
+    if (weekHours.length !== 7 || weekHours.some(h => h < 0 || h > 24)) {
+      return res.status(400).json({ error: 'Hours required for each day of the week (0 to 24)' });
+    }
+    if (!weekHours.some(h => h > 0)) {
+      return res.status(400).json({ error: 'A working pattern needs at least one working day' });
+    }
+
+    const empCheck = await db.execute('SELECT id FROM employees WHERE id = ?', [id]);
+    if (empCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    await db.execute('DELETE FROM working_patterns WHERE employee_id = ? AND effective_from = ?', [id, effective_from]);
+    const result = await db.execute(
+      'INSERT INTO working_patterns (employee_id, effective_from, hours_json, created_by) VALUES (?, ?, ?, ?) RETURNING id',
+      [id, effective_from, JSON.stringify(weekHours), req.user.id]
+    );
+
+    const affected = await db.execute(
+      "SELECT * FROM holidays WHERE employee_id = ? AND end_date >= ? AND status IN ('approved', 'pending')",
+      [id, effective_from]
+    );
+    for (const holiday of affected.rows) {
+      await recalculateHoliday(holiday);
+    }
+
+    res.status(201).json({
+      id: result.rows[0].id,
+      employee_id: parseInt(id),
+      effective_from,
+      hours: weekHours,
+      recalculated_bookings: affected.rows.length
+    });
+  } catch (err) {
+    console.error('Create working pattern error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/working-patterns/:id', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.execute('DELETE FROM working_patterns WHERE id = ? RETURNING employee_id, effective_from', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Working pattern not found' });
+    }
+
+    const { employee_id, effective_from } = result.rows[0];
+    const affected = await db.execute(
+      "SELECT * FROM holidays WHERE employee_id = ? AND end_date >= ? AND status IN ('approved', 'pending')",
+      [employee_id, effective_from]
+    );
+    for (const holiday of affected.rows) {
+      await recalculateHoliday(holiday);
+    }
+
+    res.json({ message: 'Working pattern deleted', recalculated_bookings: affected.rows.length });
+  } catch (err) {
+    console.error('Delete working pattern error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Leave ledger: every change to an employee's balance beyond their allowance, with who made it and why.
+// Amounts are stored in days; entries are never edited, so mistakes are corrected with a further adjustment.
+// Carried-over days left unused when they expire are listed as an `expiry` entry on the expiry date, worked
+// out from the balance as they are when it is read (`derived: true`, no id), so the entries add up to it.
+app.get('/api/employees/:id/ledger', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { year } = req.query;
+
+    if (req.user.role === 'employee' && id !== req.user.employeeId) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    let query = `
+      SELECT l.*, u.email as created_by_email
+      FROM leave_ledger l
+      LEFT JOIN users u ON l.created_by = u.id
+      WHERE l.employee_id = ?
+    `;
+    const params = [id];
+
+    if (year) {
+      query += ' AND l.year = ?';
+      params.push(parseInt(year));
+    }
+
+    query += ' ORDER BY l.year DESC, l.created_at DESC, l.id DESC';
+
+    const result = await db.execute(query, params);
+    const entries = result.rows.map(l => ({
+      id: l.id,
+      employee_id: l.employee_id,
+      year: l.year,
+      entry_type: l.entry_type,
+      days: l.days,
+      expires_on: l.expires_on,
+      reason: l.reason,
+      created_by: l.created_by,
+      created_by_email: l.created_by_email,
+      created_at: l.created_at
+    }));
+
+    const empResult = await db.execute('SELECT * FROM employees WHERE id = ?', [id]);
+    const carriedYears = [...new Set(entries.filter(l => l.entry_type === 'carry_over').map(l => l.year))];
+    if (empResult.rows.length > 0 && carriedYears.length > 0) {
+      const settings = await getSettings();
+      for (const carriedYear of carriedYears) {
+        const { balance } = (await getLeaveBalances(empResult.rows, settings, carriedYear))[empResult.rows[0].id];
+        const expired = balance.in_days ? balance.in_days.carried_expired : balance.carried_expired;
+        if (expired > 0) {
+          entries.push({
+            id: null,
+            employee_id: parseInt(id),
+            year: carriedYear,
+            entry_type: 'expiry',
+            days: -expired,
+            expires_on: null,
+            reason: `Carried-over days not used by ${balance.carry_over_expires}`,
+            created_by: null,
+            created_by_email: null,
+            created_at: balance.carry_over_expires,
+            derived: true
+          });
+        }
+      }
+      entries.sort((a, b) => b.year - a.year || (b.created_at > a.created_at ? 1 : b.created_at < a.created_at ? -1 : 0));
+    }
+
+    res.json(entries);
+  } catch (err) {
+    console.error('Get leave ledger error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// `days` is the size of the entry; sales and expiries are deducted, adjustments take the sign given.
+// `hours` can be given instead for employees whose leave is tracked in hours.
+app.post('/api/employees/:id/ledger', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { entry_type, reason } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(LEDGER_ENTRY_TYPES, entry_type) || entry_type === 'carry_over') {
+      return res.status(400).json({ error: 'Unknown ledger entry type' });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const empResult = await db.execute('SELECT id, leave_unit, start_date FROM employees WHERE id = ?', [id]);
+    if (empResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const settings = await getSettings();
+    const year = parseInt(req.body.year) || currentLeaveYear(settings, empResult.rows[0]);
+
+    let amount = parseFloat(req.body.days);
+    if (req.body.hours !== undefined && req.body.hours !== null && req.body.hours !== '') {
+      amount = parseFloat(req.body.hours) / settings.working_hours_per_day;
+    }
+    if (!Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json({ error: 'Amount required' });
+    }
+
+    const sign = LEDGER_ENTRY_TYPES[entry_type];
+    if (sign !== 0) {
+      if (amount < 0) {
+        return res.status(400).json({ error: 'Amount must be positive for this entry type' });
+      }
+      amount *= sign;
+    }
+    amount = Math.round(amount * 10000) / 10000;
+
+    const result = await db.execute(
+      `INSERT INTO leave_ledger (employee_id, year, entry_type, days, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING id, created_at`,
+      [id, year, entry_type, amount, reason.trim(), req.user.id]
+    );
+
+    res.status(201).json({
+      id: result.rows[0].id,
+      employee_id: parseInt(id),
+      year,
+      entry_type,
+      days: amount,
+      reason: reason.trim(),
+      created_at: result.rows[0].created_at
+    });
+  } catch (err) {
+    console.error('Create ledger entry error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============ HOLIDAY ROUTES ============
+
+// Date range covered by the holiday list's year/month filters. A year on its own is a leave year (the
+// employee's, if filtering on one); with a month it is the calendar month (a month on its own means this year's).
+function holidayFilterPeriod(year, month, settings, employee = null) {
+  if (!year && !month) return null;
+
+  const y = parseInt(year) || new Date().getFullYear();
+  if (!month) {
+    return getLeaveYearRange(y, settings, employee);
+  }
+
+  const m = parseInt(month);
+  const mm = m.toString().padStart(2, '0');
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return { start: `${y}-${mm}-01`, end: `${y}-${mm}-${lastDay}` };
+}
+
+// Bookings matching the holiday list filters, newest first. A year or month filter matches any booking
+// that overlaps it, and `period_days` is the part of the booking that falls inside it.
+// Cancelled leave is left out unless asked for by status.
+async function listHolidays({ employee_id, year, month, status }) {
+  const settings = await getSettings();
+  let employee = null;
+  if (employee_id) {
+    const empResult = await db.execute('SELECT start_date FROM employees WHERE id = ?', [employee_id]);
+    employee = empResult.rows[0] || null;
+  }
+  const period = holidayFilterPeriod(year, month, settings, employee);
+  let query = `
+    SELECT h.*, e.first_name, e.last_name, cu.email as cancelled_by_email,
+      (SELECT COALESCE(SUM(hd.amount), 0) FROM holiday_days hd
+       WHERE hd.holiday_id = h.id AND hd.date BETWEEN ? AND ?) as period_days,
+      (SELECT COALESCE(SUM(hd.hours), 0) FROM holiday_days hd WHERE hd.holiday_id = h.id) as leave_hours,
+      (SELECT COUNT(*) FROM holiday_attachments a WHERE a.holiday_id = h.id) as attachment_count
+    FROM holidays h
+    LEFT JOIN employees e ON h.employee_id = e.id
+    LEFT JOIN users cu ON h.cancelled_by = cu.id
+    WHERE 1=1
+  `;
+  const params = period ? [period.start, period.end] : ['0000-01-01', '9999-12-31'];
+
+  if (employee_id) {
+    query += ' AND h.employee_id = ?';
+    params.push(employee_id);
+  }
+  if (status) {
+    query += ' AND h.status = ?';
+    params.push(status);
+  } else {
+    query += " AND h.status != 'cancelled'";
+  }
+  if (period) {
+    query += ' AND h.start_date <= ? AND h.end_date >= ?';
+    params.push(period.end, period.start);
+  }
+
+  query += ' ORDER BY h.start_date DESC';
+
+  const result = await db.execute(query, params);
+
+  return result.rows.map(h => ({
+    id: h.id,
+    employee_id: h.employee_id,
+    employee_name: h.first_name && h.last_name ? `${h.first_name} ${h.last_name}` : 'Unknown',
+    first_name: h.first_name,
+    last_name: h.last_name,
+    start_date: h.start_date,
+    end_date: h.end_date,
+    start_half_day: h.start_half_day,
+    end_half_day: h.end_half_day,
+    hours: h.hours,
+    days: h.days,
+    period_days: h.period_days,
+    leave_hours: h.leave_hours,
+    type: h.type,
+    notes: h.notes,
+    status: h.status,
+    approved_by: h.approved_by,
+    approved_at: h.approved_at,
+    rejection_reason: h.rejection_reason,
+    closure_id: h.closure_id,
+    fit_note: !!h.fit_note,
+    return_to_work_notes: h.return_to_work_notes,
+    return_to_work_at: h.return_to_work_at,
+    attachment_count: h.attachment_count,
+    cancelled_by: h.cancelled_by,
+    cancelled_by_email: h.cancelled_by_email,
+    cancelled_at: h.cancelled_at,
+    cancellation_reason: h.cancellation_reason,
+    created_at: h.created_at
+  }));
+}
+
+// Quote a value for CSV output when it contains a comma, quote or newline
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = value.toString();
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+app.get('/api/holidays', authenticate, async (req, res) => {
+  try {
+    res.json(await listHolidays(req.query));
+  } catch (err) {
+    console.error('Get holidays error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Same filters as the holiday list, as a CSV download
+app.get('/api/holidays/export', authenticate, async (req, res) => {
+  try {
+    const holidays = await listHolidays(req.query);
+    const header = [
+      'Employee', 'Type', 'Start Date', 'Start Half Day', 'End Date', 'End Half Day', 'Hours',
+      'Days', 'Days in Period', 'Leave Hours', 'Status', 'Notes'
+    ];
+    const rows = holidays.map(h => [
+      h.employee_name, h.type, h.start_date, h.start_half_day, h.end_date, h.end_half_day, h.hours,
+      h.days, h.period_days, h.leave_hours, h.status, h.notes
+    ]);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="holidays${req.query.year ? '-' + req.query.year : ''}.csv"`);
+    res.send([header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n');
+  } catch (err) {
+    console.error('Export holidays error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/holidays', authenticate, async (req, res) => {
+  try {
+    const { employee_id, start_date, end_date, type, notes } = req.body;
+    // Only managers and admins can push a booking through a policy check
+    const overrideReason = req.user.role === 'employee' ? null : req.body.override_reason || null;
+
+    const targetEmployeeId = employee_id || req.user.employeeId;
+
+    if (req.user.role === 'employee' && targetEmployeeId !== req.user.employeeId) {
+      return res.status(403).json({ error: 'Cannot book holidays for others' });
+    }
+
+    if (!targetEmployeeId || !start_date || !end_date) {
+      return res.status(400).json({ error: 'Employee, start date, and end date required' });
+    }
+
+    if (end_date < start_date) {
+      return res.status(400).json({ error: 'End date cannot be before start date' });
+    }
+
+    const empCheck = await db.execute('SELECT id FROM employees WHERE id = ?', [targetEmployeeId]);
+    if (empCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const leaveType = await getLeaveType(type || 'annual');
+    if (!leaveType || !leaveType.active) {
+      return res.status(400).json({ error: 'Unknown leave type' });
+    }
+
+    const portion = await parseLeavePortion(req.body, targetEmployeeId, start_date, end_date);
+    if (portion.error) {
+      return res.status(400).json({ error: portion.error });
+    }
+
+    const blackouts = await findBlackouts(targetEmployeeId, start_date, end_date, leaveType.code);
+    if (blackouts.length > 0) {
+      return res.status(409).json(blackoutError(blackouts));
+    }
+
+    const { conflicts, warnings, shortfalls } = await checkHolidayBooking(targetEmployeeId, start_date, end_date);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Overlaps existing leave', code: 'OVERLAP', conflicts });
+    }
+
+    // Employee requests wait for a manager unless the leave type doesn't need approval;
+    // bookings made by managers and admins are approved straight away
+    const status = req.user.role === 'employee' && leaveType.requires_approval ? 'pending' : 'approved';
+
+    // Leave that can't be refused (e.g. sickness) is never held up by staffing rules
+    const blocking = leaveType.requires_approval ? blockingShortfalls(shortfalls, status, overrideReason) : [];
+    if (blocking.length > 0) {
+      return res.status(409).json({
+        error: 'Booking would take the department below minimum staffing',
+        code: 'BELOW_MIN_STAFFING',
+        shortfalls: blocking
+      });
+    }
+
+    const breakdown = await getWorkingDayBreakdown(targetEmployeeId, start_date, end_date, portion);
+    const days = sumBreakdown(breakdown);
+
+    const capExceeded = await checkLeaveTypeCap(targetEmployeeId, leaveType, breakdown);
+    if (capExceeded) {
+      return res.status(409).json({
+        error: `${leaveType.name} is limited to ${leaveType.yearly_cap} days a year`,
+        ...capExceeded
+      });
+    }
+
+    const consecutiveDays = await consecutiveLeaveDays(targetEmployeeId, leaveType, start_date, end_date, days);
+    const violations = checkBookingPolicy(leaveType, start_date, consecutiveDays, req.user.role === 'employee');
+    if (violations.length > 0 && !overrideReason) {
+      return res.status(409).json(policyError(violations));
+    }
+
+    const approvedBy = status === 'approved' ? req.user.id : null;
+    const approvedAt = status === 'approved' ? new Date().toISOString() : null;
+
+    const result = await db.execute(`
+      INSERT INTO holidays (
+        employee_id, start_date, end_date, start_half_day, end_half_day, hours, days, type, notes, fit_note, status, approved_by, approved_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id
+    `, [
+      targetEmployeeId, start_date, end_date, portion.startHalfDay, portion.endHalfDay, portion.hours,
+      days, leaveType.code, notes || null, req.body.fit_note ? 1 : 0, status, approvedBy, approvedAt
+    ]);
+
+    const holidayId = result.rows[0].id;
+    await saveHolidayDays(holidayId, targetEmployeeId, breakdown);
+    const staffingOverridden = status === 'approved' && shortfalls.length > 0 && !!overrideReason;
+    await recordHolidayStatus(holidayId, status, req.user.id, overrideNote(staffingOverridden, violations.length > 0, overrideReason));
+
+    res.status(201).json({
+      id: holidayId, employee_id: targetEmployeeId, start_date, end_date,
+      start_half_day: portion.startHalfDay, end_half_day: portion.endHalfDay, hours: portion.hours,
+      days, leave_hours: sumBreakdown(breakdown, 'hours'), status,
+      warnings: [...warnings, ...shortfalls]
+    });
+  } catch (err) {
+    console.error('Create holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Dry run of a booking so the holiday modal can show problems before saving
+app.post('/api/holidays/check', authenticate, async (req, res) => {
+  try {
+    const { holiday_id, employee_id, start_date, end_date, type } = req.body;
+
+    const targetEmployeeId = employee_id || req.user.employeeId;
+
+    if (!targetEmployeeId || !start_date || !end_date || end_date < start_date) {
+      return res.json({
+        days: 0, leave_hours: 0, conflicts: [], warnings: [], shortfalls: [], cap_exceeded: null, blackouts: [], policy_violations: []
+      });
+    }
+
+    if (req.user.role === 'employee' && targetEmployeeId.toString() !== req.user.employeeId) {
+      return res.status(403).json({ error: 'Cannot book holidays for others' });
+    }
+
+    const portion = await parseLeavePortion(req.body, targetEmployeeId, start_date, end_date);
+    if (portion.error) {
+      return res.status(400).json({ error: portion.error });
+    }
+
+    const { conflicts, warnings, shortfalls } = await checkHolidayBooking(targetEmployeeId, start_date, end_date, holiday_id);
+    const breakdown = await getWorkingDayBreakdown(targetEmployeeId, start_date, end_date, portion);
+    const days = sumBreakdown(breakdown);
+    const leaveHours = sumBreakdown(breakdown, 'hours');
+    const leaveType = await getLeaveType(type || 'annual');
+    const capExceeded = leaveType ? await checkLeaveTypeCap(targetEmployeeId, leaveType, breakdown, holiday_id) : null;
+    const blackouts = await findBlackouts(targetEmployeeId, start_date, end_date, type || 'annual');
+    const policyViolations = leaveType
+      ? checkBookingPolicy(
+        leaveType, start_date,
+        await consecutiveLeaveDays(targetEmployeeId, leaveType, start_date, end_date, days, holiday_id),
+        req.user.role === 'employee'
+      )
+      : [];
+
+    res.json({
+      days, leave_hours: leaveHours, conflicts, warnings, shortfalls, cap_exceeded: capExceeded, blackouts,
+      policy_violations: policyViolations
+    });
+  } catch (err) {
+    console.error('Check holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.put('/api/holidays/:id', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start_date, end_date, type, notes, status } = req.body;
+    const overrideReason = req.user.role === 'employee' ? null : req.body.override_reason || null;
+
+    const existing = await db.execute('SELECT * FROM holidays WHERE id = ?', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    const holiday = existing.rows[0];
+
+    if (req.user.role === 'employee' && holiday.employee_id.toString() !== req.user.employeeId) {
+      return res.status(403).json({ error: 'Cannot edit others holidays' });
+    }
+
+    if (holiday.closure_id) {
+      return res.status(400).json({ error: 'This leave comes from a company closure; change the closure instead' });
+    }
+
+    if (holiday.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cancelled leave cannot be edited' });
+    }
+    if (status !== undefined && status !== null && !HOLIDAY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${HOLIDAY_STATUSES.join(', ')}` });
+    }
+    if (status === 'cancelled') {
+      return res.status(400).json({ error: 'Use cancel to cancel leave' });
+    }
+    if (status && status !== holiday.status) {
+      return res.status(400).json({ error: 'Use approve or reject to change the status of leave' });
+    }
+
+    const newStartDate = start_date || holiday.start_date;
+    const newEndDate = end_date || holiday.end_date;
+
+    if (newEndDate < newStartDate) {
+      return res.status(400).json({ error: 'End date cannot be before start date' });
+    }
+
+    const portion = await parseLeavePortion(req.body, holiday.employee_id, newStartDate, newEndDate, holiday);
+    if (portion.error) {
+      return res.status(400).json({ error: portion.error });
+    }
+
+    // Existing bookings can keep a type that has since been deactivated, but can't be moved onto one
+    const leaveType = await getLeaveType(type || holiday.type);
+    if (!leaveType || (!leaveType.active && leaveType.code !== holiday.type)) {
+      return res.status(400).json({ error: 'Unknown leave type' });
+    }
+
+    const blackouts = await findBlackouts(holiday.employee_id, newStartDate, newEndDate, leaveType.code);
+    if (blackouts.length > 0) {
+      return res.status(409).json(blackoutError(blackouts));
+    }
+
+    const { conflicts, warnings, shortfalls } = await checkHolidayBooking(holiday.employee_id, newStartDate, newEndDate, holiday.id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({ error: 'Overlaps existing leave', code: 'OVERLAP', conflicts });
+    }
+
+    // Editing keeps the status, except that an employee editing a decided request sends it back for approval
+    let newStatus = holiday.status;
+    if (req.user.role === 'employee') {
+      newStatus = leaveType.requires_approval ? 'pending' : 'approved';
+    }
+
+    const blocking = leaveType.requires_approval && ['approved', 'pending'].includes(newStatus)
+      ? blockingShortfalls(shortfalls, newStatus, overrideReason)
+      : [];
+    if (blocking.length > 0) {
+      return res.status(409).json({
+        error: 'Booking would take the department below minimum staffing',
+        code: 'BELOW_MIN_STAFFING',
+        shortfalls: blocking
+      });
+    }
+
+    const breakdown = await getWorkingDayBreakdown(holiday.employee_id, newStartDate, newEndDate, portion);
+    const days = sumBreakdown(breakdown);
+
+    const capExceeded = await checkLeaveTypeCap(holiday.employee_id, leaveType, breakdown, holiday.id);
+    if (capExceeded) {
+      return res.status(409).json({
+        error: `${leaveType.name} is limited to ${leaveType.yearly_cap} days a year`,
+        ...capExceeded
+      });
+    }
+
+    // Booking rules apply to what changed; an unrelated edit doesn't fall foul of notice that has since run out
+    const rebooked = newStartDate !== holiday.start_date || newEndDate !== holiday.end_date
+      || leaveType.code !== holiday.type || days !== holiday.days;
+    const violations = rebooked
+      ? checkBookingPolicy(
+        leaveType, newStartDate,
+        await consecutiveLeaveDays(holiday.employee_id, leaveType, newStartDate, newEndDate, days, holiday.id),
+        req.user.role === 'employee'
+      )
+      : [];
+    if (violations.length > 0 && !overrideReason) {
+      return res.status(409).json(policyError(violations));
+    }
+
+    await db.execute(`
+      UPDATE holidays SET start_date = ?, end_date = ?, start_half_day = ?, end_half_day = ?, hours = ?, days = ?, type = ?, notes = ?,
+        fit_note = ?, status = ?
+      WHERE id = ?
+    `, [
+      newStartDate, newEndDate, portion.startHalfDay, portion.endHalfDay, portion.hours,
+      days, leaveType.code, notes !== undefined ? notes : holiday.notes,
+      req.body.fit_note !== undefined ? (req.body.fit_note ? 1 : 0) : holiday.fit_note, newStatus, id
+    ]);
+    await saveHolidayDays(holiday.id, holiday.employee_id, breakdown);
+
+    const staffingOverridden = newStatus === 'approved' && shortfalls.length > 0 && !!overrideReason;
+    if (staffingOverridden || violations.length > 0) {
+      await recordHolidayStatus(id, newStatus, req.user.id, overrideNote(staffingOverridden, violations.length > 0, overrideReason));
+    } else if (newStatus !== holiday.status) {
+      await recordHolidayStatus(id, newStatus, req.user.id, 'Holiday edited');
+    }
+
+    res.json({ message: 'Holiday updated', days, status: newStatus, warnings: [...warnings, ...shortfalls] });
+  } catch (err) {
+    console.error('Update holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Closure leave skips days that were already booked, so it takes back any that a cancelled,
+// shortened or deleted booking frees up
+async function refillClosureLeave(employeeId, startDate, endDate) {
+  const closureLeave = await db.execute(
+    'SELECT * FROM holidays WHERE employee_id = ? AND closure_id IS NOT NULL AND start_date <= ? AND end_date >= ?',
+    [employeeId, endDate, startDate]
+  );
+  for (const closureHoliday of closureLeave.rows) {
+    await recalculateHoliday(closureHoliday);
+  }
+}
+
+// Cancelled, shortened and recalled leave keeps its record; deleting is only for removing mistakes
+app.delete('/api/holidays/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.execute('SELECT * FROM holidays WHERE id = ?', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    const holiday = existing.rows[0];
+
+    if (holiday.closure_id) {
+      return res.status(400).json({ error: 'This leave comes from a company closure; change the closure instead' });
+    }
+
+    await db.execute('DELETE FROM holiday_status_history WHERE holiday_id = ?', [id]);
+    await db.execute('DELETE FROM holiday_attachments WHERE holiday_id = ?', [id]);
+    await db.execute('DELETE FROM holiday_days WHERE holiday_id = ?', [id]);
+    await db.execute('DELETE FROM holidays WHERE id = ?', [id]);
+    await refillClosureLeave(holiday.employee_id, holiday.start_date, holiday.end_date);
+
+    res.json({ message: 'Holiday deleted' });
+  } catch (err) {
+    console.error('Delete holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Load a booking for cancelling or shortening, or null after sending the error response
+async function holidayForCancellation(req, res, holidayId) {
+  const existing = await db.execute('SELECT * FROM holidays WHERE id = ?', [holidayId]);
+  if (existing.rows.length === 0) {
+    res.status(404).json({ error: 'Holiday not found' });
+    return null;
+  }
+
+  const holiday = existing.rows[0];
+  if (req.user.role === 'employee' && holiday.employee_id.toString() !== req.user.employeeId) {
+    res.status(403).json({ error: 'Cannot cancel others holidays' });
+    return null;
+  }
+  if (holiday.closure_id) {
+    res.status(400).json({ error: 'This leave comes from a company closure; change the closure instead' });
+    return null;
+  }
+  if (!['approved', 'pending'].includes(holiday.status)) {
+    res.status(400).json({ error: 'Only pending or approved leave can be cancelled' });
+    return null;
+  }
+  return holiday;
+}
+
+// Move a booking to new dates inside its current ones, refunding the days it no longer covers.
+// `event` is the history entry recorded ('shortened' or 'recalled'). Returns the new and refunded days.
+async function shortenHoliday(holiday, changes, userId, event, reason) {
+  const updated = { ...holiday, ...changes };
+  await db.execute(
+    'UPDATE holidays SET start_date = ?, end_date = ?, start_half_day = ?, end_half_day = ? WHERE id = ?',
+    [updated.start_date, updated.end_date, updated.start_half_day, updated.end_half_day, holiday.id]
+  );
+  const days = await recalculateHoliday(updated);
+  const refunded = holiday.days - days;
+
+  await recordHolidayStatus(holiday.id, event, userId,
+    `Was ${holiday.start_date} to ${holiday.end_date} (${holiday.days} days), ${refunded} refunded: ${reason}`);
+  await refillClosureLeave(holiday.employee_id, holiday.start_date, holiday.end_date);
+
+  return { days, refunded_days: refunded };
+}
+
+// Cancel a whole booking. Its record stays, marked cancelled, and it stops counting against balances.
+// Employees can withdraw their own requests and future leave; leave that has started needs a manager.
+app.post('/api/holidays/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const holiday = await holidayForCancellation(req, res, req.params.id);
+    if (!holiday) return;
+
+    const reason = (req.body.reason || '').trim() || null;
+    const today = new Date().toISOString().split('T')[0];
+
+    if (req.user.role === 'employee' && holiday.status === 'approved' && holiday.start_date <= today) {
+      return res.status(400).json({ error: 'Leave that has already started cannot be cancelled; ask your manager to recall you instead' });
+    }
+    if (!reason && holiday.employee_id.toString() !== req.user.employeeId) {
+      return res.status(400).json({ error: "A reason is required to cancel someone else's leave" });
+    }
+
+    const cancelledAt = new Date().toISOString();
+    await db.execute(
+      "UPDATE holidays SET status = 'cancelled', cancelled_by = ?, cancelled_at = ?, cancellation_reason = ? WHERE id = ?",
+      [req.user.id, cancelledAt, reason, holiday.id]
+    );
+    await recordHolidayStatus(holiday.id, 'cancelled', req.user.id, reason);
+    await refillClosureLeave(holiday.employee_id, holiday.start_date, holiday.end_date);
+
+    res.json({ message: 'Holiday cancelled', refunded_days: holiday.days });
+  } catch (err) {
+    console.error('Cancel holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel part of a booking by giving it new dates inside the current ones (and optionally new half days).
+// Employees can only give back days from today onwards.
+app.post('/api/holidays/:id/shorten', authenticate, async (req, res) => {
+  try {
+    const holiday = await holidayForCancellation(req, res, req.params.id);
+    if (!holiday) return;
+
+    if (holiday.hours) {
+      return res.status(400).json({ error: 'Part-day bookings can only be cancelled in full' });
+    }
+
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'Reason required' });
+    }
+
+    const startDate = req.body.start_date || holiday.start_date;
+    const endDate = req.body.end_date || holiday.end_date;
+    if (endDate < startDate) {
+      return res.status(400).json({ error: 'End date cannot be before start date' });
+    }
+    if (startDate < holiday.start_date || endDate > holiday.end_date) {
+      return res.status(400).json({ error: 'New dates must fall within the current booking' });
+    }
+
+    // A half day only carries over when its day stays the first or last day of the booking
+    const portion = await parseLeavePortion(req.body, holiday.employee_id, startDate, endDate, {
+      start_half_day: startDate === holiday.start_date ? holiday.start_half_day : null,
+      end_half_day: endDate === holiday.end_date ? holiday.end_half_day : null,
+      hours: null
+    });
+    if (portion.error) {
+      return res.status(400).json({ error: portion.error });
+    }
+    if (portion.hours !== null) {
+      return res.status(400).json({ error: 'Part-day bookings can only be cancelled in full' });
+    }
+
+    const breakdown = await getWorkingDayBreakdown(holiday.employee_id, startDate, endDate, {
+      startHalfDay: portion.startHalfDay,
+      endHalfDay: portion.endHalfDay
+    });
+    if (sumBreakdown(breakdown) >= holiday.days) {
+      return res.status(400).json({ error: 'The new dates do not shorten this booking' });
+    }
+
+    if (req.user.role === 'employee') {
+      const today = new Date().toISOString().split('T')[0];
+      const kept = new Map(breakdown.map(day => [day.date, day.amount]));
+      const taken = await db.execute(
+        'SELECT date, amount FROM holiday_days WHERE holiday_id = ? AND date < ?',
+        [holiday.id, today]
+      );
+      if (holiday.status === 'approved' && taken.rows.some(day => (kept.get(day.date) || 0) < day.amount)) {
+        return res.status(400).json({ error: 'Leave already taken cannot be cancelled; ask your manager to recall you instead' });
+      }
+    }
+
+    const result = await shortenHoliday(holiday, {
+      start_date: startDate,
+      end_date: endDate,
+      start_half_day: portion.startHalfDay,
+      end_half_day: portion.endHalfDay
+    }, req.user.id, 'shortened', reason);
+
+    res.json({ message: 'Holiday shortened', ...result });
+  } catch (err) {
+    console.error('Shorten holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recall someone from approved leave: the booking ends the day before they come back to work,
+// and the days after that are refunded
+app.post('/api/holidays/:id/recall', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const holiday = await holidayForCancellation(req, res, req.params.id);
+    if (!holiday) return;
+
+    const { return_date } = req.body;
+    const reason = (req.body.reason || '').trim();
+
+    if (holiday.status !== 'approved') {
+      return res.status(400).json({ error: 'Only approved leave can be recalled' });
+    }
+    if (!return_date || !/^\d{4}-\d{2}-\d{2}$/.test(return_date)) {
+      return res.status(400).json({ error: 'Return date required' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'Reason required' });
+    }
+    if (return_date <= holiday.start_date) {
+      return res.status(400).json({ error: 'Return date is on or before the first day of leave; cancel the booking instead' });
+    }
+    if (return_date > holiday.end_date) {
+      return res.status(400).json({ error: 'Return date is after the end of this leave' });
+    }
+
+    const lastDay = new Date(return_date);
+    lastDay.setUTCDate(lastDay.getUTCDate() - 1);
+    const endDate = lastDay.toISOString().split('T')[0];
+
+    const result = await shortenHoliday(holiday, {
+      end_date: endDate,
+      end_half_day: null
+    }, req.user.id, 'recalled', `Back at work on ${return_date}. ${reason}`);
+
+    res.json({ message: 'Employee recalled from leave', ...result });
+  } catch (err) {
+    console.error('Recall holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/holidays/:id/approve', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.execute('SELECT * FROM holidays WHERE id = ?', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    const holiday = existing.rows[0];
+    if (holiday.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending requests can be approved' });
+    }
+
+    const overrideReason = req.body.override_reason || null;
+    const shortfalls = await checkBookingStaffing(holiday.employee_id, holiday.start_date, holiday.end_date, holiday.id);
+    if (shortfalls.length > 0 && !overrideReason) {
+      return res.status(409).json({
+        error: 'Approving would take the department below minimum staffing',
+        code: 'BELOW_MIN_STAFFING',
+        shortfalls
+      });
+    }
+
+    await db.execute(
+      "UPDATE holidays SET status = 'approved', approved_by = ?, approved_at = ?, rejection_reason = NULL WHERE id = ?",
+      [req.user.id, new Date().toISOString(), id]
+    );
+    await recordHolidayStatus(id, 'approved', req.user.id,
+      shortfalls.length > 0 ? `Minimum staffing override: ${overrideReason}` : req.body.reason || null);
+
+    res.json({ message: 'Holiday approved' });
+  } catch (err) {
+    console.error('Approve holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/holidays/:id/reject', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Rejection reason required' });
+    }
+
+    const existing = await db.execute('SELECT * FROM holidays WHERE id = ?', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    if (existing.rows[0].status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending requests can be rejected' });
+    }
+
+    await db.execute(
+      "UPDATE holidays SET status = 'rejected', approved_by = ?, approved_at = ?, rejection_reason = ? WHERE id = ?",
+      [req.user.id, new Date().toISOString(), reason, id]
+    );
+    await recordHolidayStatus(id, 'rejected', req.user.id, reason);
+
+    res.json({ message: 'Holiday rejected' });
+  } catch (err) {
+    console.error('Reject holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/holidays/:id/history', authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await db.execute('SELECT employee_id FROM holidays WHERE id = ?', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    if (req.user.role === 'employee' && existing.rows[0].employee_id.toString() !== req.user.employeeId) {
+      return res.status(403).json({ error: 'Cannot view others holidays' });
+    }
+
+    const result = await db.execute(`
+      SELECT s.*, u.email as changed_by_email
+      FROM holiday_status_history s
+      LEFT JOIN users u ON s.changed_by = u.id
+      WHERE s.holiday_id = ?
+      ORDER BY s.created_at, s.id
+    `, [id]);
+
+    res.json(result.rows.map(s => ({
+      id: s.id,
+      status: s.status,
+      reason: s.reason,
+      changed_by: s.changed_by,
+      changed_by_email: s.changed_by_email,
+      created_at: s.created_at
+    })));
+  } catch (err) {
+    console.error('Get holiday history error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Attachments: uploaded as the raw request body, with the file name in the query string
+const ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024;
+const ATTACHMENT_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const parseAttachment = express.raw({ type: ATTACHMENT_TYPES, limit: ATTACHMENT_MAX_BYTES });
+
+function receiveAttachment(req, res, next) {
+  parseAttachment(req, res, err => {
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Attachments can be at most ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB` });
+    }
+    if (err) {
+      return res.status(400).json({ error: 'Could not read the uploaded file' });
+    }
+    next();
+  });
+}
+
+// The booking an attachment route refers to, or null after sending the 404/403 response.
+// Employees only reach attachments on their own bookings, as with the other holiday routes.
+async function holidayForAttachments(req, res, holidayId) {
+  const existing = await db.execute('SELECT id, employee_id FROM holidays WHERE id = ?', [holidayId]);
+  if (existing.rows.length === 0) {
+    res.status(404).json({ error: 'Holiday not found' });
+    return null;
+  }
+  if (req.user.role === 'employee' && existing.rows[0].employee_id.toString() !== req.user.employeeId) {
+    res.status(403).json({ error: 'Cannot access others holidays' });
+    return null;
+  }
+  return existing.rows[0];
+}
+
+function formatAttachment(a) {
+  return {
+    id: a.id,
+    holiday_id: a.holiday_id,
+    filename: a.filename,
+    content_type: a.content_type,
+    size: a.size,
+    uploaded_by: a.uploaded_by,
+    uploaded_by_email: a.uploaded_by_email,
+    created_at: a.created_at
+  };
+}
+
+app.get('/api/holidays/:id/attachments', authenticate, async (req, res) => {
+  try {
+    const holiday = await holidayForAttachments(req, res, req.params.id);
+    if (!holiday) return;
+
+    const result = await db.execute(`
+      SELECT a.id, a.holiday_id, a.filename, a.content_type, a.size, a.uploaded_by, a.created_at, u.email as uploaded_by_email
+      FROM holiday_attachments a
+      LEFT JOIN users u ON a.uploaded_by = u.id
+      WHERE a.holiday_id = ?
+      ORDER BY a.created_at, a.id
+    `, [holiday.id]);
+
+    res.json(result.rows.map(formatAttachment));
+  } catch (err) {
+    console.error('Get attachments error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/holidays/:id/attachments', authenticate, receiveAttachment, async (req, res) => {
+  try {
+    const holiday = await holidayForAttachments(req, res, req.params.id);
+    if (!holiday) return;
+
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: 'Attachments must be PDF, image or Word files' });
+    }
+    if (req.body.length === 0) {
+      return res.status(400).json({ error: 'The uploaded file is empty' });
+    }
+
+    // Keep only the base name, whichever separator the browser used
+    const filename = (req.query.filename || '').toString().split(/[\\/]/).pop().trim().slice(0, 200);
+    if (!filename) {
+      return res.status(400).json({ error: 'File name required' });
+    }
+
+    const contentType = req.headers['content-type'].split(';')[0].trim().toLowerCase();
+    const result = await db.execute(`
+      INSERT INTO holiday_attachments (holiday_id, filename, content_type, size, data, uploaded_by)
+      VALUES (?, ?, ?, ?, ?, ?) RETURNING id, holiday_id, filename, content_type, size, uploaded_by, created_at
+    `, [holiday.id, filename, contentType, req.body.length, req.body, req.user.id]);
+
+    res.status(201).json(formatAttachment(result.rows[0]));
+  } catch (err) {
+    console.error('Upload attachment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/holidays/:id/attachments/:attachmentId', authenticate, async (req, res) => {
+  try {
+    const holiday = await holidayForAttachments(req, res, req.params.id);
+    if (!holiday) return;
+
+    const result = await db.execute(
+      'SELECT * FROM holiday_attachments WHERE id = ? AND holiday_id = ?',
+      [req.params.attachmentId, holiday.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const attachment = result.rows[0];
+    res.attachment(attachment.filename);
+    res.type(attachment.content_type);
+    res.send(Buffer.from(attachment.data));
+  } catch (err) {
+    console.error('Download attachment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/holidays/:id/attachments/:attachmentId', authenticate, async (req, res) => {
+  try {
+    const holiday = await holidayForAttachments(req, res, req.params.id);
+    if (!holiday) return;
+
+    const result = await db.execute(
+      'DELETE FROM holiday_attachments WHERE id = ? AND holiday_id = ? RETURNING id',
+      [req.params.attachmentId, holiday.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.json({ message: 'Attachment deleted' });
+  } catch (err) {
+    console.error('Delete attachment error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.get('/api/holidays/summary/:employeeId', authenticate, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    const empResult = await db.execute('SELECT * FROM employees WHERE id = ?', [employeeId]);
+    if (empResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const employee = empResult.rows[0];
+    const settings = await getSettings();
+    const { year, balance } = (await getLeaveBalances([employee], settings, parseInt(req.query.year) || null))[employee.id];
+    const range = getLeaveYearRange(year, settings, employee);
+
+    res.json({
+      year,
+      year_label: leaveYearLabel(year, settings),
+      year_start: range.start,
+      year_end: range.end,
+      accrual_mode: settings.accrual_mode,
+      ...balance
+    });
+  } catch (err) {
+    console.error('Get holiday summary error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Projected balances at the end of each active employee's current leave year (or `year`), most leave
+// left first, so managers can see who is sitting on leave they would lose at rollover (`over_carry_cap`)
+app.get('/api/holidays/forecast', authenticate, async (req, res) => {
+  try {
+    const employeeId = req.user.role === 'employee' ? req.user.employeeId : req.query.employee_id;
+
+    let query = `
+      SELECT e.*, d.name as department_name
+      FROM employees e
+      LEFT JOIN departments d ON e.department_id = d.id
+      WHERE e.status = 'active'
+    `;
+    const params = [];
+    if (employeeId) {
+      query += ' AND e.id = ?';
+      params.push(employeeId);
+    }
+    if (req.query.department_id) {
+      query += ' AND e.department_id = ?';
+      params.push(req.query.department_id);
+    }
+
+    const empResult = await db.execute(query, params);
+    const settings = await getSettings();
+    const balances = await getLeaveBalances(empResult.rows, settings, parseInt(req.query.year) || null);
+
+    const forecast = empResult.rows.map(e => {
+      const { year, balance } = balances[e.id];
+      const days = balance.in_days || balance;
+      return {
+        employee_id: e.id,
+        employee_name: `${e.first_name} ${e.last_name}`,
+        department_name: e.department_name,
+        year,
+        year_end: getLeaveYearRange(year, settings, e).end,
+        unit: balance.unit,
+        entitled: balance.entitled,
+        remaining: balance.remaining,
+        pending: balance.pending,
+        projected_lapsed: balance.projected_lapsed,
+        projected_remaining: balance.projected_remaining,
+        projected_remaining_days: days.projected_remaining,
+        carry_over_cap: carryOverCap(e, settings),
+        over_carry_cap: daysOverCarryOverCap(e, balance, settings)
+      };
+    });
+    forecast.sort((a, b) => b.projected_remaining_days - a.projected_remaining_days);
+
+    res.json({ employees: forecast });
+  } catch (err) {
+    console.error('Get holiday forecast error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// One employee's balance for the leave year of `start_date`, as it would be with the booking described
+// in the body made (or, with `holiday_id`, the booking being edited changed to it).
+// Public holidays and non-working days in the booking don't count, as when it is saved.
+app.post('/api/holidays/forecast', authenticate, async (req, res) => {
+  try {
+    const { holiday_id, employee_id, start_date, end_date, type } = req.body;
+    const targetEmployeeId = employee_id || req.user.employeeId;
+
+    if (!targetEmployeeId) {
+      return res.status(400).json({ error: 'Employee required' });
+    }
+    if (req.user.role === 'employee' && targetEmployeeId.toString() !== req.user.employeeId) {
+      return res.status(403).json({ error: 'Cannot view others balances' });
+    }
+
+    const empResult = await db.execute('SELECT * FROM employees WHERE id = ?', [targetEmployeeId]);
+    if (empResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const employee = empResult.rows[0];
+    const hasBooking = start_date && end_date && end_date >= start_date;
+    const settings = await getSettings();
+    const year = hasBooking
+      ? leaveYearOf(start_date, settings, employee)
+      : parseInt(req.body.year) || currentLeaveYear(settings, employee);
+    const range = getLeaveYearRange(year, settings, employee);
+
+    const ledgerTotals = await getLedgerTotals(year, targetEmployeeId);
+    const ledger = ledgerTotals[targetEmployeeId];
+    const expiryDate = ledger ? ledger.expires_on : null;
+    const usage = await getLeaveUsage(year, settings, targetEmployeeId, holiday_id);
+    const employeeUsage = usage[targetEmployeeId] || {
+      used: 0, booked: 0, pending: 0, beforeCarryExpiry: 0, pendingBeforeCarryExpiry: 0,
+      hours: { used: 0, booked: 0, pending: 0, beforeCarryExpiry: 0, pendingBeforeCarryExpiry: 0 }
+    };
+
+    const leaveType = await getLeaveType(type || 'annual');
+    if (hasBooking && leaveType && leaveType.deducts_allowance) {
+      const portion = await parseLeavePortion(req.body, targetEmployeeId, start_date, end_date);
+      if (portion.error) {
+        return res.status(400).json({ error: portion.error });
+      }
+
+      const breakdown = (await getWorkingDayBreakdown(targetEmployeeId, start_date, end_date, portion))
+        .filter(day => day.date <= range.end);
+      const beforeExpiry = breakdown.filter(day => day.date <= (expiryDate || '9999-12-31'));
+      employeeUsage.proposed = sumBreakdown(breakdown);
+      employeeUsage.proposedBeforeCarryExpiry = sumBreakdown(beforeExpiry);
+      employeeUsage.hours.proposed = sumBreakdown(breakdown, 'hours');
+      employeeUsage.hours.proposedBeforeCarryExpiry = sumBreakdown(beforeExpiry, 'hours');
+    }
+
+    const yearAllowances = await getYearAllowances(year, targetEmployeeId);
+    const balance = buildLeaveBalance(employee, employeeUsage, ledger, year, settings, yearAllowances[targetEmployeeId]);
+
+    res.json({
+      year,
+      year_label: leaveYearLabel(year, settings),
+      year_start: range.start,
+      year_end: range.end,
+      accrual_mode: settings.accrual_mode,
+      ...balance,
+      carry_over_cap: carryOverCap(employee, settings),
+      over_carry_cap: daysOverCarryOverCap(employee, balance, settings)
+    });
+  } catch (err) {
+    console.error('Holiday forecast error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Year-end rollover: carry each employee's unused days (up to the cap) from a leave year into the next, and
+// give them the new year's allowance from the entitlement tier their service has reached by its start (or
+// their own allowance). The closed year keeps the allowance it was worked out with, so running it again for
+// the same year gives the same carry-over and allowance, replacing what it recorded before.
+// `dry_run` previews without saving.
+app.post('/api/holidays/rollover', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const year = parseInt(req.body.year) || currentLeaveYear(settings) - 1;
+    const dryRun = !!req.body.dry_run;
+
+    const empResult = await db.execute("SELECT * FROM employees WHERE status = 'active'");
+    const staying = empResult.rows.filter(e => !e.leaving_date || e.leaving_date > getLeaveYearRange(year, settings, e).end);
+    const balances = await getLeaveBalances(staying, settings, year);
+    const yearAllowances = await getYearAllowances(year);
+    const tiers = await getEntitlementTiers();
+
+    const results = [];
+    for (const e of staying) {
+      const { balance } = balances[e.id];
+      const expiresOn = carryOverExpiryDate(year + 1, settings, e);
+      const cap = carryOverCap(e, settings);
+      const unused = balance.in_days ? balance.in_days.remaining : balance.remaining;
+      const carried = Math.max(0, Math.min(unused, cap));
+      const { tier } = findEntitlementTier(e, tiers, getLeaveYearRange(year + 1, settings, e).start);
+      const allowance = allowanceForYear(e, settings, yearAllowances[e.id]);
+      const newAllowance = tier ? tier.allowance : allowanceForYear(e, settings);
+
+      if (!dryRun) {
+        const statements = [
+          {
+            sql: "DELETE FROM leave_ledger WHERE employee_id = ? AND year = ? AND entry_type = 'carry_over'",
+            args: [e.id, year + 1]
+          },
+          {
+            sql: 'INSERT OR IGNORE INTO leave_year_allowances (employee_id, year, allowance) VALUES (?, ?, ?)',
+            args: [e.id, year, allowance]
+          },
+          {
+            sql: `INSERT INTO leave_year_allowances (employee_id, year, allowance, entitlement_tier) VALUES (?, ?, ?, ?)
+                  ON CONFLICT (employee_id, year) DO UPDATE SET allowance = excluded.allowance, entitlement_tier = excluded.entitlement_tier`,
+            args: [e.id, year + 1, newAllowance, tier ? tier.name : null]
+          }
+        ];
+        if (carried > 0) {
+          statements.push({
+            sql: `INSERT INTO leave_ledger (employee_id, year, entry_type, days, expires_on, reason, created_by)
+                  VALUES (?, ?, 'carry_over', ?, ?, ?, ?)`,
+            args: [e.id, year + 1, carried, expiresOn, `Carried over from ${leaveYearLabel(year, settings)}`, req.user.id]
+          });
+        }
+        await db.batch(statements);
+      }
+
+      results.push({
+        employee_id: e.id,
+        employee_name: `${e.first_name} ${e.last_name}`,
+        unused,
+        cap,
+        carried,
+        expires_on: carried > 0 ? expiresOn : null,
+        allowance,
+        new_allowance: newAllowance,
+        entitlement_tier: tier ? tier.name : null
+      });
+    }
+
+    res.json({
+      year,
+      to_year: year + 1,
+      year_label: leaveYearLabel(year, settings),
+      to_year_label: leaveYearLabel(year + 1, settings),
+      expires_on: carryOverExpiryDate(year + 1, settings),
+      dry_run: dryRun,
+      employees: results
+    });
+  } catch (err) {
+    console.error('Holiday rollover error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ============ SICKNESS ABSENCE ============
+
+// Trigger points from the comma-separated setting, lowest first (empty if any entry isn't a number)
+function parseTriggerPoints(value) {
+  const points = (value || '').toString().split(',').map(p => p.trim()).filter(p => p !== '').map(Number);
+  return points.some(p => !Number.isFinite(p) || p <= 0) ? [] : points.sort((a, b) => a - b);
+}
+
+// Approved sickness absence as spells: bookings of a sickness leave type with no working day between
+// them count as one spell. `days` is the part of each spell falling between the two dates.
+async function getSicknessSpells(startDate, endDate, employeeId = null) {
+  let query = `
+    SELECT h.*, e.first_name, e.last_name, e.department_id,
+      (SELECT COALESCE(SUM(hd.amount), 0) FROM holiday_days hd
+       WHERE hd.holiday_id = h.id AND hd.date BETWEEN ? AND ?) as period_days
+    FROM holidays h
+    JOIN employees e ON h.employee_id = e.id
+    WHERE h.status = 'approved' AND h.type IN (SELECT code FROM leave_types WHERE sickness = 1)
+      AND h.start_date <= ? AND h.end_date >= ?
+  `;
+  const params = [startDate, endDate, endDate, startDate];
+
+  if (employeeId) {
+    query += ' AND h.employee_id = ?';
+    params.push(employeeId);
+  }
+
+  query += ' ORDER BY h.employee_id, h.start_date';
+
+  const result = await db.execute(query, params);
+  const spells = [];
+  let spell = null;
+
+  for (const h of result.rows) {
+    const continues = spell && spell.employee_id === h.employee_id && await leaveRunsOn(h.employee_id, spell.end_date, h.start_date);
+
+    if (continues) {
+      spell.end_date = h.end_date > spell.end_date ? h.end_date : spell.end_date;
+      spell.days += h.period_days;
+      spell.fit_note = spell.fit_note || !!h.fit_note;
+      spell.holiday_ids.push(h.id);
+    } else {
+      spell = {
+        employee_id: h.employee_id,
+        employee_name: `${h.first_name} ${h.last_name}`,
+        department_id: h.department_id,
+        start_date: h.start_date,
+        end_date: h.end_date,
+        days: h.period_days,
+        fit_note: !!h.fit_note,
+        holiday_ids: [h.id]
+      };
+      spells.push(spell);
+    }
+
+    // The return-to-work record belongs to the spell's last booking
+    spell.last_holiday_id = h.id;
+    spell.return_to_work_notes = h.return_to_work_notes;
+    spell.return_to_work_at = h.return_to_work_at;
+  }
+
+  return spells.filter(s => s.days > 0);
+}
+
+// Start of the rolling 52-week window ending on a date
+function bradfordWindowStart(asOf) {
+  const start = new Date(asOf);
+  start.setUTCDate(start.getUTCDate() - 52 * 7 + 1);
+  return start.toISOString().split('T')[0];
+}
+
+app.get('/api/sickness/spells', authenticate, async (req, res) => {
+  try {
+    const employeeId = req.user.role === 'employee' ? req.user.employeeId : req.query.employee_id;
+    const endDate = req.query.end_date || new Date().toISOString().split('T')[0];
+    const startDate = req.query.start_date || bradfordWindowStart(endDate);
+
+    if (endDate < startDate) {
+      return res.status(400).json({ error: 'End date cannot be before start date' });
+    }
+
+    const spells = await getSicknessSpells(startDate, endDate, employeeId);
+    res.json(spells.reverse());
+  } catch (err) {
+    console.error('Get sickness spells error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Bradford Factor (spells squared times days) over the 52 weeks to `as_of`, highest first.
+// `trigger` is the highest trigger point reached; `over_trigger=1` lists only people who have reached one.
+app.get('/api/sickness/bradford', authenticate, async (req, res) => {
+  try {
+    const employeeId = req.user.role === 'employee' ? req.user.employeeId : req.query.employee_id;
+    const asOf = req.query.as_of || new Date().toISOString().split('T')[0];
+    const windowStart = bradfordWindowStart(asOf);
+
+    const settings = await getSettings();
+    const triggers = parseTriggerPoints(settings.bradford_triggers);
+
+    let query = `
+      SELECT e.*, d.name as department_name
+      FROM employees e
+      LEFT JOIN departments d ON e.department_id = d.id
+      WHERE e.status = 'active'
+    `;
+    const params = [];
+    if (employeeId) {
+      query += ' AND e.id = ?';
+      params.push(employeeId);
+    }
+
+    const empResult = await db.execute(query, params);
+    const spells = await getSicknessSpells(windowStart, asOf, employeeId);
+
+    let report = empResult.rows.map(e => {
+      const own = spells.filter(s => s.employee_id === e.id);
+      const days = own.reduce((total, s) => total + s.days, 0);
+      const score = own.length * own.length * days;
+      const reached = triggers.filter(t => score >= t);
+      return {
+        employee_id: e.id,
+        employee_name: `${e.first_name} ${e.last_name}`,
+        department_name: e.department_name,
+        spells: own.length,
+        days,
+        score,
+        trigger: reached.length > 0 ? reached[reached.length - 1] : null
+      };
+    });
+
+    if (req.query.over_trigger === '1') {
+      report = report.filter(r => r.trigger !== null);
+    }
+    report.sort((a, b) => b.score - a.score);
+
+    res.json({ as_of: asOf, window_start: windowStart, trigger_points: triggers, employees: report });
+  } catch (err) {
+    console.error('Get Bradford Factor error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Record the return-to-work conversation for a sickness booking (the last booking of a spell)
+app.post('/api/holidays/:id/return-to-work', authenticate, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const existing = await db.execute(`
+      SELECT h.id, lt.sickness
+      FROM holidays h
+      LEFT JOIN leave_types lt ON h.type = lt.code
+      WHERE h.id = ?
+    `, [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    if (!existing.rows[0].sickness) {
+      return res.status(400).json({ error: 'Return-to-work notes can only be added to sickness absence' });
+    }
+    if (!notes || !notes.trim()) {
+      return res.status(400).json({ error: 'Notes required' });
+    }
 
-    const holidaysResult = await db.execute(
-      "SELECT SUM(days) as used FROM holidays WHERE employee_id = ? AND status = 'approved' AND type = 'annual' AND strftime('%Y', start_date) = ?",
-      [employeeId, year.toString()]
+    const recordedAt = new Date().toISOString();
+    await db.execute(
+      'UPDATE holidays SET return_to_work_notes = ?, return_to_work_at = ?, return_to_work_by = ? WHERE id = ?',
+      [notes.trim(), recordedAt, req.user.id, id]
     );
 
-    const used = holidaysResult.rows[0].used || 0;
-
-    res.json({
-      allowance,
-      used,
-      remaining: allowance - used
-    });
+    res.json({ message: 'Return to work recorded', return_to_work_at: recordedAt });
   } catch (err) {
-    console.error('Get holiday summary error:', err);
+    console.error('Return to work error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // ============ TIME & ATTENDANCE ROUTES ============
 
+// Hours worked beyond what the employee's working pattern schedules for that day
+async function calculateOvertime(employeeId, date, totalHours) {
+  const dayHours = scheduledHours(await getWorkSchedule(employeeId), date);
+  return Math.max(0, Math.round((totalHours - dayHours) * 100) / 100);
+}
+
 app.get('/api/timesheet', authenticate, async (req, res) => {
   try {
     const { employee_id, start_date, end_date } = req.query;
@@ -840,6 +4018,92 @@ app.get('/api/timesheet', authenticate, async (req, res) => {
   }
 });
 
+// Hours each employee was expected to work over a date range (working pattern less public holidays,
+// non-working closures and approved leave) against the hours they recorded
+app.get('/api/timesheet/expected-hours', authenticate, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const employeeId = req.user.role === 'employee' ? req.user.employeeId : req.query.employee_id;
+
+    if (!start_date || !end_date || end_date < start_date) {
+      return res.status(400).json({ error: 'Start date and end date required' });
+    }
+    if (daysInRange(new Date(start_date), new Date(end_date)) > 366) {
+      return res.status(400).json({ error: 'Date range cannot be longer than a year' });
+    }
+
+    let query = "SELECT * FROM employees WHERE status = 'active'";
+    const params = [];
+    if (employeeId) {
+      query += ' AND id = ?';
+      params.push(employeeId);
+    }
+    query += ' ORDER BY last_name, first_name';
+
+    const empResult = await db.execute(query, params);
+    const calendarDates = new Map();
+    const report = [];
+
+    for (const e of empResult.rows) {
+      const calendarId = await getEmployeeHolidayCalendarId(e.id);
+      if (!calendarDates.has(calendarId)) calendarDates.set(calendarId, await getPublicHolidayDates(calendarId));
+      const publicHolidays = calendarDates.get(calendarId);
+      const schedule = await getWorkSchedule(e.id);
+      const closed = await getClosureDates(e.department_id, 'non_working');
+      const leaveResult = await db.execute(`
+        SELECT hd.date, hd.amount
+        FROM holiday_days hd
+        JOIN holidays h ON hd.holiday_id = h.id
+        WHERE hd.employee_id = ? AND h.status = 'approved' AND hd.date BETWEEN ? AND ?
+      `, [e.id, start_date, end_date]);
+      const workedResult = await db.execute(
+        'SELECT COALESCE(SUM(total_hours), 0) as worked FROM time_entries WHERE employee_id = ? AND date BETWEEN ? AND ?',
+        [e.id, start_date, end_date]
+      );
+
+      // Only count the days they were employed
+      const from = e.start_date && e.start_date > start_date ? e.start_date : start_date;
+      const to = e.leaving_date && e.leaving_date < end_date ? e.leaving_date : end_date;
+
+      let scheduled = 0;
+      let publicHolidayHours = 0;
+      let closureHours = 0;
+      const current = new Date(from);
+      while (current <= new Date(to)) {
+        const dateStr = current.toISOString().split('T')[0];
+        const dayHours = scheduledHours(schedule, dateStr);
+        scheduled += dayHours;
+        if (publicHolidays.has(dateStr)) publicHolidayHours += dayHours;
+        else if (closed.has(dateStr)) closureHours += dayHours;
+        current.setUTCDate(current.getUTCDate() + 1);
+      }
+
+      const leaveHours = leaveResult.rows
+        .filter(d => d.date >= from && d.date <= to)
+        .reduce((total, d) => total + d.amount * scheduledHours(schedule, d.date), 0);
+      const expected = scheduled - publicHolidayHours - closureHours - leaveHours;
+      const worked = workedResult.rows[0].worked;
+
+      report.push({
+        employee_id: e.id,
+        employee_name: `${e.first_name} ${e.last_name}`,
+        scheduled_hours: Math.round(scheduled * 100) / 100,
+        public_holiday_hours: Math.round(publicHolidayHours * 100) / 100,
+        closure_hours: Math.round(closureHours * 100) / 100,
+        leave_hours: Math.round(leaveHours * 100) / 100,
+        expected_hours: Math.round(expected * 100) / 100,
+        worked_hours: Math.round(worked * 100) / 100,
+        difference: Math.round((worked - expected) * 100) / 100
+      });
+    }
+
+    res.json(report);
+  } catch (err) {
+    console.error('Get expected hours error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 app.post('/api/timesheet/clock-in', authenticate, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
@@ -901,7 +4165,7 @@ app.post('/api/timesheet/clock-out', authenticate, async (req, res) => {
     const breakMins = break_minutes || 0;
     const totalMinutes = outMinutes - inMinutes - breakMins;
     const totalHours = Math.round((totalMinutes / 60) * 100) / 100;
-    const overtime = Math.max(0, totalHours - 8);
+    const overtime = await calculateOvertime(employeeId, today, totalHours);
 
     await db.execute(
       'UPDATE time_entries SET clock_out = ?, break_minutes = ?, total_hours = ?, overtime_hours = ? WHERE id = ?',
@@ -934,7 +4198,7 @@ app.post('/api/timesheet', authenticate, requireRole('admin', 'manager'), async
       const breakMins = break_minutes || 0;
       const totalMinutes = outMinutes - inMinutes - breakMins;
       totalHours = Math.round((totalMinutes / 60) * 100) / 100;
-      overtime = Math.max(0, totalHours - 8);
+      overtime = await calculateOvertime(employee_id, date, totalHours);
     }
 
     const result = await db.execute(`
@@ -980,6 +4244,12 @@ app.get('/api/dashboard/stats', authenticate, async (req, res) => {
     );
     const onHolidayToday = holidayResult.rows[0].count;
 
+    const pendingResult = await db.execute(
+      "SELECT COUNT(*) as count, SUM(days) as days FROM holidays WHERE status = 'pending'"
+    );
+    const pendingRequests = pendingResult.rows[0].count;
+    const pendingDays = pendingResult.rows[0].days || 0;
+
     const clockedResult = await db.execute(
       'SELECT COUNT(*) as count FROM time_entries WHERE date = ? AND clock_in IS NOT NULL AND clock_out IS NULL',
       [today]
@@ -989,7 +4259,9 @@ app.get('/api/dashboard/stats', authenticate, async (req, res) => {
     res.json({
       totalEmployees,
       onHolidayToday,
-      clockedInToday
+      clockedInToday,
+      pendingRequests,
+      pendingDays
     });
   } catch (err) {
     console.error('Get dashboard stats error:', err);
@@ -999,164 +4271,650 @@ app.get('/api/dashboard/stats', authenticate, async (req, res) => {
 
 // ============ PUBLIC HOLIDAYS ============
 
+// Countries public holidays can be fetched for, by ISO 3166-1 code
+const HOLIDAY_COUNTRIES = {
+  'IE': 'Ireland',
+  'GB': 'United Kingdom',
+  'US': 'United States',
+  'DE': 'Germany',
+  'FR': 'France'
+};
+
+async function getHolidayCalendar(id) {
+  const result = await db.execute('SELECT * FROM holiday_calendars WHERE id = ?', [id]);
+  return result.rows[0] || null;
+}
+
+// The calendar a public holiday request is about: `calendar_id` if given, otherwise the default
+async function requestedHolidayCalendar(calendarId) {
+  return getHolidayCalendar(calendarId || await getDefaultHolidayCalendarId());
+}
+
+function formatHolidayCalendar(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    country_code: c.country_code,
+    country: HOLIDAY_COUNTRIES[c.country_code] || c.country_code,
+    subdivision: c.subdivision,
+    is_default: !!c.is_default,
+    last_updated: c.last_refreshed,
+    holiday_count: c.holiday_count,
+    department_count: c.department_count,
+    employee_count: c.employee_count,
+    pending_recalculation: c.pending_start_date
+      ? { calendar_id: c.id, start_date: c.pending_start_date, end_date: c.pending_end_date }
+      : null,
+    created_at: c.created_at
+  };
+}
+
+// Validated calendar columns from a request body, or { error }. `subdivision` is an ISO 3166-2 code
+// within the country (GB-NIR, US-CA), for regions with public holidays of their own.
+function parseHolidayCalendarFields(body) {
+  const name = (body.name || '').trim();
+  const countryCode = (body.country_code || '').toUpperCase();
+  const subdivision = body.subdivision ? body.subdivision.toUpperCase() : null;
+
+  if (!name || !countryCode) {
+    return { error: 'Name and country required' };
+  }
+  if (!HOLIDAY_COUNTRIES[countryCode]) {
+    return { error: `Country must be one of: ${Object.keys(HOLIDAY_COUNTRIES).join(', ')}` };
+  }
+  if (subdivision && !new RegExp(`^${countryCode}-[A-Z0-9]{1,3}$`).test(subdivision)) {
+    return { error: `Region must be a subdivision code within the country, such as ${countryCode}-XX` };
+  }
+  return { fields: { name, country_code: countryCode, subdivision } };
+}
+
+// Employees whose public holidays come from a calendar: assigned it themselves, through their department,
+// or (for the default calendar) not assigned one at all
+async function holidayCalendarEmployeeIds(calendarId) {
+  const result = await db.execute(`
+    SELECT e.id
+    FROM employees e
+    LEFT JOIN departments d ON e.department_id = d.id
+    WHERE COALESCE(e.holiday_calendar_id, d.holiday_calendar_id, ?) = ?
+  `, [await getDefaultHolidayCalendarId(), calendarId]);
+  return result.rows.map(e => e.id);
+}
+
+// Calendars with how many public holidays they hold, how many departments and employees are assigned them,
+// and the dates whose booked leave still needs recalculating after their public holidays changed
+async function listHolidayCalendars(id = null) {
+  const result = await db.execute(`
+    SELECT c.*,
+      (SELECT COUNT(*) FROM public_holidays WHERE calendar_id = c.id) as holiday_count,
+      (SELECT COUNT(*) FROM departments WHERE holiday_calendar_id = c.id) as department_count,
+      (SELECT COUNT(*) FROM employees WHERE holiday_calendar_id = c.id AND status = 'active') as employee_count,
+      (SELECT MIN(start_date) FROM pending_leave_recalculations WHERE calendar_id = c.id) as pending_start_date,
+      (SELECT MAX(end_date) FROM pending_leave_recalculations WHERE calendar_id = c.id) as pending_end_date
+    FROM holiday_calendars c
+    ${id ? 'WHERE c.id = ?' : ''}
+    ORDER BY c.is_default DESC, c.name
+  `, id ? [id] : []);
+  return result.rows.map(formatHolidayCalendar);
+}
+
+app.get('/api/holiday-calendars', authenticate, async (req, res) => {
+  try {
+    res.json(await listHolidayCalendars());
+  } catch (err) {
+    console.error('Get holiday calendars error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/holiday-calendars', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { fields, error } = parseHolidayCalendarFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await db.execute(
+      'INSERT INTO holiday_calendars (name, country_code, subdivision) VALUES (?, ?, ?) RETURNING id',
+      [fields.name, fields.country_code, fields.subdivision]
+    );
+
+    res.status(201).json((await listHolidayCalendars(result.rows[0].id))[0]);
+  } catch (err) {
+    console.error('Create holiday calendar error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// `is_default: true` makes this the calendar for everyone without one of their own or through their department.
+// Their upcoming leave is worked out again if that changes their public holidays.
+app.put('/api/holiday-calendars/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const calendar = await getHolidayCalendar(id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Holiday calendar not found' });
+    }
+
+    const { fields, error } = parseHolidayCalendarFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (calendar.is_default && req.body.is_default === false) {
+      return res.status(400).json({ error: 'Make another calendar the default instead' });
+    }
+
+    await db.execute(
+      'UPDATE holiday_calendars SET name = ?, country_code = ?, subdivision = ? WHERE id = ?',
+      [fields.name, fields.country_code, fields.subdivision, id]
+    );
+
+    let recalculated = 0;
+    if (req.body.is_default && !calendar.is_default) {
+      const previousDefault = await getDefaultHolidayCalendarId();
+      const affected = await holidayCalendarEmployeeIds(previousDefault);
+      await db.execute('UPDATE holiday_calendars SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END', [id]);
+      const moved = await holidayCalendarEmployeeIds(calendar.id);
+      recalculated = await recalculateUpcomingLeave(affected.filter(employeeId => moved.includes(employeeId)));
+    }
+
+    res.json({ ...(await listHolidayCalendars(id))[0], recalculated_bookings: recalculated });
+  } catch (err) {
+    console.error('Update holiday calendar error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Anyone assigned the calendar, directly or through their department, moves back to the default
+app.delete('/api/holiday-calendars/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const calendar = await getHolidayCalendar(id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Holiday calendar not found' });
+    }
+    if (calendar.is_default) {
+      return res.status(400).json({ error: 'Cannot delete the default holiday calendar' });
+    }
+
+    const affected = await holidayCalendarEmployeeIds(calendar.id);
+    await db.execute('UPDATE employees SET holiday_calendar_id = NULL WHERE holiday_calendar_id = ?', [id]);
+    await db.execute('UPDATE departments SET holiday_calendar_id = NULL WHERE holiday_calendar_id = ?', [id]);
+    await db.execute('DELETE FROM public_holidays WHERE calendar_id = ?', [id]);
+    await db.execute('DELETE FROM public_holiday_refreshes WHERE calendar_id = ?', [id]);
+    await db.execute('DELETE FROM pending_leave_recalculations WHERE calendar_id = ?', [id]);
+    await db.execute('DELETE FROM holiday_calendars WHERE id = ?', [id]);
+    const recalculated = await recalculateUpcomingLeave(affected);
+
+    res.json({ message: 'Holiday calendar deleted', recalculated_bookings: recalculated });
+  } catch (err) {
+    console.error('Delete holiday calendar error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Note that the booked leave between two dates needs recalculating after a calendar's public holidays changed.
+// It stays pending, shown against the calendar, until the leave is recalculated. Returns the range.
+async function recordPendingRecalculation(calendarId, startDate, endDate, reason, userId = null) {
+  await db.execute(
+    'INSERT INTO pending_leave_recalculations (calendar_id, start_date, end_date, reason, created_by) VALUES (?, ?, ?, ?, ?)',
+    [calendarId, startDate, endDate, reason, userId]
+  );
+  return { calendar_id: calendarId, start_date: startDate, end_date: endDate };
+}
+
+function formatPublicHoliday(h) {
+  return {
+    id: h.id,
+    calendar_id: h.calendar_id,
+    date: h.date,
+    name: h.name,
+    source: h.source,
+    observed: !!h.observed,
+    created_at: h.created_at,
+    updated_at: h.updated_at
+  };
+}
+
+// A calendar's public holidays, optionally only those in one calendar year
+async function listPublicHolidays(calendar, year = null) {
+  const result = year
+    ? await db.execute(
+      'SELECT * FROM public_holidays WHERE calendar_id = ? AND date BETWEEN ? AND ? ORDER BY date',
+      [calendar.id, `${year}-01-01`, `${year}-12-31`]
+    )
+    : await db.execute('SELECT * FROM public_holidays WHERE calendar_id = ? ORDER BY date', [calendar.id]);
+
+  return {
+    calendar_id: calendar.id,
+    country: calendar.name,
+    lastUpdated: calendar.last_refreshed,
+    holidays: result.rows.map(formatPublicHoliday)
+  };
+}
+
+function duplicatePublicHoliday(res, date) {
+  return res.status(409).json({ error: `There is already a public holiday on ${date} in this calendar`, code: 'DUPLICATE' });
+}
+
+// Public holiday routes work on one calendar at a time: `calendar_id`, or the default calendar if left out
 app.get('/api/public-holidays', authenticate, async (req, res) => {
   try {
-    const result = await db.execute('SELECT * FROM public_holidays LIMIT 1');
-    if (result.rows.length > 0) {
-      const row = result.rows[0];
-      res.json({
-        country: row.country,
-        lastUpdated: row.last_updated,
-        holidays: JSON.parse(row.holidays_json || '[]')
-      });
-    } else {
-      res.json({ country: 'Ireland', holidays: [] });
+    const calendar = await requestedHolidayCalendar(req.query.calendar_id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Holiday calendar not found' });
     }
+
+    res.json(await listPublicHolidays(calendar, parseInt(req.query.year) || null));
   } catch (err) {
     console.error('Get public holidays error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.get('/api/public-holidays/:year', authenticate, async (req, res) => {
+// Recent public holiday refreshes, newest first, optionally for one calendar
+app.get('/api/public-holidays/refreshes', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { year } = req.params;
-    const result = await db.execute('SELECT * FROM public_holidays LIMIT 1');
+    const { calendar_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-    if (result.rows.length > 0) {
-      const row = result.rows[0];
-      const holidays = JSON.parse(row.holidays_json || '[]');
-      const filtered = holidays.filter(h => h.date.startsWith(year));
-      res.json({ country: row.country, holidays: filtered });
-    } else {
-      res.json({ country: 'Ireland', holidays: [] });
+    let query = `
+      SELECT r.*, c.name as calendar_name, u.email as requested_by_email
+      FROM public_holiday_refreshes r
+      LEFT JOIN holiday_calendars c ON r.calendar_id = c.id
+      LEFT JOIN users u ON r.requested_by = u.id
+    `;
+    const params = [];
+
+    if (calendar_id) {
+      query += ' WHERE r.calendar_id = ?';
+      params.push(calendar_id);
+    }
+
+    query += ' ORDER BY r.created_at DESC, r.id DESC LIMIT ?';
+    params.push(limit);
+
+    const result = await db.execute(query, params);
+    res.json(result.rows.map(r => ({
+      id: r.id,
+      calendar_id: r.calendar_id,
+      calendar_name: r.calendar_name,
+      source: r.source,
+      trigger_type: r.trigger_type,
+      years: r.years.split(',').map(Number),
+      status: r.status,
+      added: r.added,
+      skipped: r.skipped,
+      error: r.error,
+      duration_ms: r.duration_ms,
+      requested_by_email: r.requested_by_email,
+      created_at: r.created_at
+    })));
+  } catch (err) {
+    console.error('Get public holiday refreshes error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// The built-in rule engine's regions, so admins can see which calendars can be refreshed offline
+app.get('/api/public-holidays/rule-sets', authenticate, requireRole('admin'), async (req, res) => {
+  res.json(Object.entries(holidayRules.RULE_SETS).map(([key, ruleSet]) => ({
+    key,
+    name: ruleSet.name,
+    holidays: ruleSet.rules.map(r => r.name)
+  })));
+});
+
+app.get('/api/public-holidays/:year', authenticate, async (req, res) => {
+  try {
+    const calendar = await requestedHolidayCalendar(req.query.calendar_id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Holiday calendar not found' });
     }
+
+    res.json(await listPublicHolidays(calendar, parseInt(req.params.year)));
   } catch (err) {
     console.error('Get public holidays by year error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Holidays added or edited by hand are kept when the calendar is refreshed online
 app.post('/api/public-holidays', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { date, name } = req.body;
+    const { date, name, observed } = req.body;
 
     if (!date || !name) {
       return res.status(400).json({ error: 'Date and name required' });
     }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
 
-    const result = await db.execute('SELECT * FROM public_holidays LIMIT 1');
-    let holidays = [];
+    const calendar = await requestedHolidayCalendar(req.body.calendar_id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Holiday calendar not found' });
+    }
 
-    if (result.rows.length > 0) {
-      holidays = JSON.parse(result.rows[0].holidays_json || '[]');
-      holidays.push({ date, name });
-      holidays.sort((a, b) => a.date.localeCompare(b.date));
-      await db.execute('UPDATE public_holidays SET holidays_json = ? WHERE id = ?', [JSON.stringify(holidays), result.rows[0].id]);
-    } else {
-      holidays = [{ date, name }];
-      await db.execute('INSERT INTO public_holidays (country, holidays_json) VALUES (?, ?)', ['Ireland', JSON.stringify(holidays)]);
+    const existing = await db.execute('SELECT id FROM public_holidays WHERE calendar_id = ? AND date = ?', [calendar.id, date]);
+    if (existing.rows.length > 0) {
+      return duplicatePublicHoliday(res, date);
     }
 
-    res.status(201).json({ date, name });
+    const result = await db.execute(`
+      INSERT INTO public_holidays (calendar_id, date, name, source, observed)
+      VALUES (?, ?, ?, 'manual', ?) RETURNING *
+    `, [calendar.id, date, name.trim(), observed ? 1 : 0]);
+
+    res.status(201).json({
+      ...formatPublicHoliday(result.rows[0]),
+      recalculate: await recordPendingRecalculation(calendar.id, date, date, `Added ${name.trim()}`, req.user.id)
+    });
   } catch (err) {
     console.error('Add public holiday error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.delete('/api/public-holidays/:date', authenticate, requireRole('admin'), async (req, res) => {
+app.put('/api/public-holidays/:id', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { date } = req.params;
-    const result = await db.execute('SELECT * FROM public_holidays LIMIT 1');
+    const existing = await db.execute('SELECT * FROM public_holidays WHERE id = ?', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Public holiday not found' });
+    }
+    const holiday = existing.rows[0];
+
+    const date = req.body.date || holiday.date;
+    const name = req.body.name !== undefined ? (req.body.name || '').trim() : holiday.name;
+    const observed = req.body.observed !== undefined ? !!req.body.observed : !!holiday.observed;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name required' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const clash = await db.execute(
+      'SELECT id FROM public_holidays WHERE calendar_id = ? AND date = ? AND id != ?',
+      [holiday.calendar_id, date, holiday.id]
+    );
+    if (clash.rows.length > 0) {
+      return duplicatePublicHoliday(res, date);
+    }
+
+    // An edited holiday is the admin's now, so a refresh won't put the provider's version back
+    const result = await db.execute(`
+      UPDATE public_holidays SET date = ?, name = ?, observed = ?, source = 'manual', updated_at = ?
+      WHERE id = ? RETURNING *
+    `, [date, name, observed ? 1 : 0, new Date().toISOString(), holiday.id]);
 
-    if (result.rows.length > 0) {
-      let holidays = JSON.parse(result.rows[0].holidays_json || '[]');
-      holidays = holidays.filter(h => h.date !== date);
-      await db.execute('UPDATE public_holidays SET holidays_json = ? WHERE id = ?', [JSON.stringify(holidays), result.rows[0].id]);
+    const [first, last] = [holiday.date, date].sort();
+    res.json({
+      ...formatPublicHoliday(result.rows[0]),
+      recalculate: await recordPendingRecalculation(holiday.calendar_id, first, last, `Edited ${name}`, req.user.id)
+    });
+  } catch (err) {
+    console.error('Update public holiday error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.delete('/api/public-holidays/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await db.execute('DELETE FROM public_holidays WHERE id = ? RETURNING calendar_id, date, name', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Public holiday not found' });
     }
+    const { calendar_id, date, name } = result.rows[0];
 
-    res.json({ message: 'Public holiday deleted' });
+    res.json({
+      message: 'Public holiday deleted',
+      recalculate: await recordPendingRecalculation(calendar_id, date, date, `Deleted ${name}`, req.user.id)
+    });
   } catch (err) {
     console.error('Delete public holiday error:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Fetch public holidays from Nager.Date API
-function fetchHolidaysFromAPI(year, countryCode) {
-  return new Promise((resolve, reject) => {
-    const url = `https://date.nager.at/api/v3/PublicHolidays/${year}/${countryCode}`;
+// Work out again the approved and pending bookings that overlap a date range, for the employees who get
+// their public holidays from a calendar, and return the ones whose days come out differently. Each
+// employee's entry gives the change to their balance in each leave year the changed days fall in
+// (positive when they get leave back). Saves the new figures unless `dryRun`.
+async function recalculateLeaveForPublicHolidays(calendarId, startDate, endDate, dryRun) {
+  const employeeIds = await holidayCalendarEmployeeIds(calendarId);
+  if (employeeIds.length === 0) return [];
+
+  const settings = await getSettings();
+  const placeholders = employeeIds.map(() => '?').join(', ');
+  const empResult = await db.execute(`SELECT * FROM employees WHERE id IN (${placeholders})`, employeeIds);
+  const employees = new Map(empResult.rows.map(e => [e.id, e]));
+  const holidayResult = await db.execute(`
+    SELECT h.*, ${DEDUCTS_ALLOWANCE_SQL} as deducts_allowance
+    FROM holidays h
+    WHERE h.employee_id IN (${placeholders}) AND h.status IN ('approved', 'pending')
+      AND h.start_date <= ? AND h.end_date >= ?
+    ORDER BY h.start_date, h.id
+  `, [...employeeIds, endDate, startDate]);
+
+  const round = value => Math.round(value * 100) / 100;
+  const changes = new Map();
+  for (const holiday of holidayResult.rows) {
+    const employee = employees.get(holiday.employee_id);
+    const oldResult = await db.execute('SELECT date, amount, hours FROM holiday_days WHERE holiday_id = ?', [holiday.id]);
+    const oldDays = oldResult.rows;
+    const newDays = await currentHolidayBreakdown(holiday);
+
+    const sameDays = oldDays.length === newDays.length && oldDays.every(day => {
+      const match = newDays.find(d => d.date === day.date);
+      return match && match.amount === day.amount && round(match.hours) === round(day.hours);
+    });
+    if (sameDays) continue;
 
-    https.get(url, (response) => {
-      let data = '';
+    if (!dryRun) {
+      await db.batch(recalculatedHolidayStatements(holiday, newDays));
+    }
 
-      response.on('data', chunk => {
-        data += chunk;
+    if (!changes.has(employee.id)) {
+      changes.set(employee.id, {
+        employee_id: employee.id,
+        employee_name: `${employee.first_name} ${employee.last_name}`,
+        leave_unit: employee.leave_unit || 'days',
+        bookings: [],
+        balance_changes: {}
       });
+    }
+    const change = changes.get(employee.id);
+    change.bookings.push({
+      holiday_id: holiday.id,
+      type: holiday.type,
+      status: holiday.status,
+      start_date: holiday.start_date,
+      end_date: holiday.end_date,
+      days: holiday.days,
+      new_days: sumBreakdown(newDays)
+    });
 
-      response.on('end', () => {
-        try {
-          if (response.statusCode === 200) {
-            const holidays = JSON.parse(data);
-            resolve(holidays);
-          } else {
-            reject(new Error(`API returned status ${response.statusCode}`));
-          }
-        } catch (err) {
-          reject(err);
-        }
-      });
-    }).on('error', reject);
-  });
+    if (!holiday.deducts_allowance) continue;
+    // Leave given back counts for the year of the day it was on
+    const tally = (days, sign) => {
+      for (const day of days) {
+        const year = leaveYearOf(day.date, settings, employee);
+        const balance = change.balance_changes[year] = change.balance_changes[year] || { year, days: 0, hours: 0 };
+        balance.days += sign * day.amount;
+        balance.hours += sign * day.hours;
+      }
+    };
+    tally(oldDays, 1);
+    tally(newDays, -1);
+  }
+
+  return [...changes.values()].map(change => ({
+    ...change,
+    balance_changes: Object.values(change.balance_changes)
+      .map(b => ({ year: b.year, year_label: leaveYearLabel(b.year, settings), days: round(b.days), hours: round(b.hours) }))
+      .filter(b => b.days !== 0 || b.hours !== 0)
+  }));
 }
 
-app.post('/api/public-holidays/refresh', authenticate, requireRole('admin'), async (req, res) => {
-  const { country = 'IE', years } = req.body;
+// Bring booked leave into line with a calendar's public holidays after they change. Adding, editing,
+// deleting and refreshing public holidays return the `recalculate` range to send here, and leave it pending
+// against the calendar until then; `dry_run` previews which bookings and balances would change without saving.
+// Pending ranges inside the dates are cleared once the leave is recalculated, or found not to need it.
+app.post('/api/public-holidays/recalculate', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { start_date, end_date } = req.body;
+    const dryRun = !!req.body.dry_run;
 
-  const currentYear = new Date().getFullYear();
-  const yearsToFetch = years || [currentYear, currentYear + 1];
+    if (!start_date || !end_date) {
+      return res.status(400).json({ error: 'Start date and end date required' });
+    }
+    if (![start_date, end_date].every(d => /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d))) || end_date < start_date) {
+      return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format, with the end date on or after the start date' });
+    }
 
-  try {
-    const allHolidays = [];
+    const calendar = await requestedHolidayCalendar(req.body.calendar_id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Holiday calendar not found' });
+    }
 
-    for (const year of yearsToFetch) {
-      const holidays = await fetchHolidaysFromAPI(year, country);
-      holidays.forEach(h => {
-        allHolidays.push({
-          date: h.date,
-          name: h.localName || h.name
-        });
-      });
+    const employees = await recalculateLeaveForPublicHolidays(calendar.id, start_date, end_date, dryRun);
+    if (!dryRun || employees.length === 0) {
+      await db.execute(
+        'DELETE FROM pending_leave_recalculations WHERE calendar_id = ? AND start_date >= ? AND end_date <= ?',
+        [calendar.id, start_date, end_date]
+      );
+    }
+
+    res.json({
+      calendar_id: calendar.id,
+      start_date,
+      end_date,
+      dry_run: dryRun,
+      bookings: employees.reduce((total, e) => total + e.bookings.length, 0),
+      employees
+    });
+  } catch (err) {
+    console.error('Recalculate leave for public holidays error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace a calendar's fetched or calculated holidays for the given years with the ones from a public
+// holiday source, keeping dates with a holiday entered by hand, and record the outcome in the refresh log.
+// If the dates with a holiday change, the leave between the first and last of them is left pending
+// recalculation, and that range is returned as `recalculate` (null if no dates changed).
+// `triggerType` is 'manual' for an admin's refresh or 'scheduled' for the background job.
+async function refreshHolidayCalendar(calendar, years, source, { triggerType = 'manual', userId = null } = {}) {
+  const startedAt = Date.now();
+  const logRefresh = (status, added, skipped, error) => db.execute(`
+    INSERT INTO public_holiday_refreshes (calendar_id, source, trigger_type, years, status, added, skipped, error, duration_ms, requested_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [calendar.id, source, triggerType, years.join(','), status, added, skipped, error, Date.now() - startedAt, userId, new Date().toISOString()]);
+
+  try {
+    const provider = holidayProviders.getHolidayProvider(source);
+    const unsupported = provider.unsupported(calendar);
+    if (unsupported) {
+      throw new Error(unsupported);
     }
 
-    allHolidays.sort((a, b) => a.date.localeCompare(b.date));
+    const fetched = [];
+    for (const year of years) {
+      fetched.push(...await provider.fetchHolidays(calendar, year));
+    }
 
-    const countryNames = {
-      'IE': 'Ireland',
-      'GB': 'United Kingdom',
-      'US': 'United States',
-      'DE': 'Germany',
-      'FR': 'France'
+    const holidayDates = async () => {
+      const dates = new Set();
+      for (const year of years) {
+        const result = await db.execute(
+          'SELECT date FROM public_holidays WHERE calendar_id = ? AND date BETWEEN ? AND ?',
+          [calendar.id, `${year}-01-01`, `${year}-12-31`]
+        );
+        result.rows.forEach(row => dates.add(row.date));
+      }
+      return dates;
     };
+    const before = await holidayDates();
 
-    const existing = await db.execute('SELECT id FROM public_holidays LIMIT 1');
-    if (existing.rows.length > 0) {
+    const now = new Date().toISOString();
+    let added = 0;
+    for (const year of years) {
       await db.execute(
-        'UPDATE public_holidays SET country = ?, last_updated = ?, holidays_json = ? WHERE id = ?',
-        [countryNames[country] || country, new Date().toISOString(), JSON.stringify(allHolidays), existing.rows[0].id]
-      );
-    } else {
-      await db.execute(
-        'INSERT INTO public_holidays (country, last_updated, holidays_json) VALUES (?, ?, ?)',
-        [countryNames[country] || country, new Date().toISOString(), JSON.stringify(allHolidays)]
+        "DELETE FROM public_holidays WHERE calendar_id = ? AND source != 'manual' AND date BETWEEN ? AND ?",
+        [calendar.id, `${year}-01-01`, `${year}-12-31`]
       );
     }
+    for (const h of fetched) {
+      // Some countries have two holidays on one date; the calendar keeps the first
+      const result = await db.execute(`
+        INSERT INTO public_holidays (calendar_id, date, name, source, observed, created_at, updated_at)
+        SELECT ?, ?, ?, ?, ?, ?, ?
+        WHERE NOT EXISTS (SELECT 1 FROM public_holidays WHERE calendar_id = ? AND date = ?)
+        RETURNING id
+      `, [calendar.id, h.date, h.name, source, h.observed ? 1 : 0, now, now, calendar.id, h.date]);
+      added += result.rows.length;
+    }
+    await db.execute('UPDATE holiday_calendars SET last_refreshed = ? WHERE id = ?', [now, calendar.id]);
+
+    await logRefresh('success', added, fetched.length - added, null);
+
+    const after = await holidayDates();
+    const changed = [...before].filter(date => !after.has(date))
+      .concat([...after].filter(date => !before.has(date)))
+      .sort();
+    const recalculate = changed.length > 0
+      ? await recordPendingRecalculation(
+        calendar.id, changed[0], changed[changed.length - 1],
+        `${triggerType === 'scheduled' ? 'Scheduled refresh' : 'Refreshed'} ${years.join(', ')}`, userId
+      )
+      : null;
+    return { count: added, skipped: fetched.length - added, recalculate };
+  } catch (err) {
+    await logRefresh('failed', 0, 0, err.message);
+    throw err;
+  }
+}
+
+// Refresh a calendar's public holidays. `source` is 'provider' to use the ones published online for its
+// country, or 'rules' to work them out with the built-in rules for its country or subdivision; it defaults
+// to the public holiday source setting.
+app.post('/api/public-holidays/refresh', authenticate, requireRole('admin'), async (req, res) => {
+  const { years } = req.body;
+
+  const currentYear = new Date().getFullYear();
+  const yearsToFetch = years || [currentYear, currentYear + 1];
+
+  if (!Array.isArray(yearsToFetch) || yearsToFetch.length === 0 ||
+      yearsToFetch.some(y => !Number.isInteger(y) || y < 1900 || y > 2200)) {
+    return res.status(400).json({ error: 'Years must be a list of years' });
+  }
+
+  try {
+    const calendar = await requestedHolidayCalendar(req.body.calendar_id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Holiday calendar not found' });
+    }
+
+    const source = req.body.source || (await getSettings()).public_holiday_source;
+    if (!PUBLIC_HOLIDAY_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Source must be one of: ${PUBLIC_HOLIDAY_SOURCES.join(', ')}` });
+    }
+    const unsupported = holidayProviders.getHolidayProvider(source).unsupported(calendar);
+    if (unsupported) {
+      return res.status(400).json({ error: unsupported });
+    }
+
+    const result = await refreshHolidayCalendar(calendar, yearsToFetch, source, { userId: req.user.id });
 
     res.json({
       message: 'Public holidays refreshed successfully',
-      count: allHolidays.length,
-      years: yearsToFetch
+      calendar_id: calendar.id,
+      source,
+      count: result.count,
+      skipped: result.skipped,
+      years: yearsToFetch,
+      recalculate: result.recalculate
     });
   } catch (err) {
     console.error('Failed to refresh public holidays:', err);
@@ -1164,19 +4922,64 @@ app.post('/api/public-holidays/refresh', authenticate, requireRole('admin'), asy
   }
 });
 
+// How often the background job looks for calendars due a refresh, and how long it leaves a calendar
+// after a failed attempt before trying again
+const PUBLIC_HOLIDAY_REFRESH_CHECK_MS = 60 * 60 * 1000;
+const PUBLIC_HOLIDAY_REFRESH_RETRY_MS = 24 * 60 * 60 * 1000;
+let publicHolidayRefreshRunning = false;
+
+// Refresh this year's and next year's public holidays for every calendar not refreshed within the
+// `public_holiday_refresh_days` setting (0 turns the job off). Failures are left in the refresh log.
+// Booked leave isn't recalculated here, as nobody is around to confirm it; changed dates are left pending
+// against the calendar for an admin to review.
+async function runScheduledHolidayRefresh() {
+  if (publicHolidayRefreshRunning) return;
+  publicHolidayRefreshRunning = true;
+
+  try {
+    const settings = await getSettings();
+    const intervalDays = parseInt(settings.public_holiday_refresh_days) || 0;
+    if (intervalDays <= 0) return;
+
+    const dueBefore = new Date(Date.now() - intervalDays * 24 * 60 * 60 * 1000).toISOString();
+    const retryBefore = new Date(Date.now() - PUBLIC_HOLIDAY_REFRESH_RETRY_MS).toISOString();
+    const due = await db.execute(`
+      SELECT c.*
+      FROM holiday_calendars c
+      WHERE (c.last_refreshed IS NULL OR c.last_refreshed < ?)
+        AND NOT EXISTS (
+          SELECT 1 FROM public_holiday_refreshes r
+          WHERE r.calendar_id = c.id AND r.status = 'failed' AND r.created_at >= ?
+        )
+    `, [dueBefore, retryBefore]);
+
+    const currentYear = new Date().getFullYear();
+    for (const calendar of due.rows) {
+      try {
+        const result = await refreshHolidayCalendar(calendar, [currentYear, currentYear + 1], settings.public_holiday_source, { triggerType: 'scheduled' });
+        console.log(`Scheduled public holiday refresh for ${calendar.name}: ${result.count} holidays loaded` +
+          (result.recalculate ? `, leave from ${result.recalculate.start_date} to ${result.recalculate.end_date} to recalculate` : ''));
+      } catch (err) {
+        console.error(`Scheduled public holiday refresh for ${calendar.name} failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('Scheduled public holiday refresh error:', err);
+  } finally {
+    publicHolidayRefreshRunning = false;
+  }
+}
+
 // ============ SETTINGS ============
 
 app.get('/api/settings', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const result = await db.execute('SELECT * FROM settings LIMIT 1');
-    if (result.rows.length > 0) {
-      res.json({
-        companyName: result.rows[0].company_name,
-        workingHoursPerDay: result.rows[0].working_hours_per_day
-      });
-    } else {
-      res.json({ companyName: 'My Company', workingHoursPerDay: 8 });
+    const settings = await getSettings();
+    const response = {};
+    for (const [column, field] of Object.entries(SETTINGS_FIELDS)) {
+      response[field.key] = settings[column];
     }
+    res.json(response);
   } catch (err) {
     console.error('Get settings error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -1185,18 +4988,88 @@ app.get('/api/settings', authenticate, requireRole('admin'), async (req, res) =>
 
 app.put('/api/settings', authenticate, requireRole('admin'), async (req, res) => {
   try {
-    const { companyName, workingHoursPerDay } = req.body;
+    const { accrualMode, carryOverExpiry, bradfordTriggers, leaveYearStart, leaveYearBasis, publicHolidaySource, publicHolidayRefreshDays } = req.body;
+
+    if (accrualMode && !['upfront', 'monthly'].includes(accrualMode)) {
+      return res.status(400).json({ error: "Accrual mode must be 'upfront' or 'monthly'" });
+    }
+    // Checked against a non-leap year, so 29 February (which would skip most years) is rejected too
+    const isMonthDay = value => /^\d{2}-\d{2}$/.test(value) &&
+      !isNaN(Date.parse(`2025-${value}`)) &&
+      new Date(`2025-${value}T00:00:00Z`).toISOString().slice(5, 10) === value;
+    if (carryOverExpiry && !isMonthDay(carryOverExpiry)) {
+      return res.status(400).json({ error: 'Carry-over expiry must be a valid MM-DD date other than 29 February' });
+    }
+    if (leaveYearStart && !isMonthDay(leaveYearStart)) {
+      return res.status(400).json({ error: 'Leave year start must be a valid MM-DD date other than 29 February' });
+    }
+    if (leaveYearBasis && !LEAVE_YEAR_BASES.includes(leaveYearBasis)) {
+      return res.status(400).json({ error: `Leave year basis must be one of: ${LEAVE_YEAR_BASES.join(', ')}` });
+    }
+    if (req.body.defaultHolidayAllowance !== undefined) {
+      const allowance = parseHolidayAllowance(req.body.defaultHolidayAllowance);
+      if (allowance === undefined || allowance === null) {
+        return res.status(400).json({ error: 'Default holiday allowance must be a number of days, 0 or more' });
+      }
+      req.body.defaultHolidayAllowance = allowance;
+    }
+    if (publicHolidaySource && !PUBLIC_HOLIDAY_SOURCES.includes(publicHolidaySource)) {
+      return res.status(400).json({ error: `Public holiday source must be one of: ${PUBLIC_HOLIDAY_SOURCES.join(', ')}` });
+    }
+    // Numbers may come from the form as strings; a blank one is treated as invalid rather than 0
+    const toNumber = value => (value === '' || value === null ? NaN : Number(value));
+    if (req.body.carryOverMaxDays !== undefined) {
+      const days = toNumber(req.body.carryOverMaxDays);
+      if (isNaN(days) || days < 0) {
+        return res.status(400).json({ error: 'Carry-over cap must be a number of days, 0 or more' });
+      }
+      req.body.carryOverMaxDays = days;
+    }
+    if (publicHolidayRefreshDays !== undefined) {
+      const days = toNumber(publicHolidayRefreshDays);
+      if (!Number.isInteger(days) || days < 0) {
+        return res.status(400).json({ error: 'Public holiday refresh interval must be a whole number of days (0 for never)' });
+      }
+      req.body.publicHolidayRefreshDays = days;
+    }
+    if (req.body.workingHoursPerDay !== undefined) {
+      const hours = toNumber(req.body.workingHoursPerDay);
+      if (isNaN(hours) || hours <= 0 || hours > 24) {
+        return res.status(400).json({ error: 'Working hours per day must be more than 0 and no more than 24' });
+      }
+      req.body.workingHoursPerDay = hours;
+    }
+    if (bradfordTriggers && parseTriggerPoints(bradfordTriggers).length === 0) {
+      return res.status(400).json({ error: 'Bradford Factor trigger points must be a comma-separated list of scores' });
+    }
+
+    // Scheduled refreshes from a source that isn't set up properly would only ever fail
+    const current = await getSettings();
+    const refreshSource = publicHolidaySource || current.public_holiday_source;
+    const refreshDays = req.body.publicHolidayRefreshDays ?? current.public_holiday_refresh_days;
+    const sourceError = holidayProviders.getHolidayProvider(refreshSource).configurationError();
+    if (refreshDays > 0 && sourceError) {
+      return res.status(400).json({ error: `Scheduled refreshes can't use this public holiday source: ${sourceError}` });
+    }
+
+    // Only overwrite the fields that were sent
+    const columns = Object.keys(SETTINGS_FIELDS);
+    const values = columns.map(column => {
+      const value = req.body[SETTINGS_FIELDS[column].key];
+      if (value === undefined) return current[column];
+      return value === '' ? null : value;
+    });
 
     const existing = await db.execute('SELECT id FROM settings LIMIT 1');
     if (existing.rows.length > 0) {
       await db.execute(
-        'UPDATE settings SET company_name = ?, working_hours_per_day = ? WHERE id = ?',
-        [companyName, workingHoursPerDay, existing.rows[0].id]
+        `UPDATE settings SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...values, existing.rows[0].id]
       );
     } else {
       await db.execute(
-        'INSERT INTO settings (company_name, working_hours_per_day) VALUES (?, ?)',
-        [companyName, workingHoursPerDay]
+        `INSERT INTO settings (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        values
       );
     }
 
@@ -1207,6 +5080,34 @@ app.put('/api/settings', authenticate, requireRole('admin'), async (req, res) =>
   }
 });
 
+// Leave years to offer in year pickers: next year, this one and the two before, for an employee's
+// own leave years when they are on the anniversary basis
+app.get('/api/leave-years', authenticate, async (req, res) => {
+  try {
+    const employeeId = req.user.role === 'employee' ? req.user.employeeId : req.query.employee_id;
+    let employee = null;
+    if (employeeId) {
+      const empResult = await db.execute('SELECT id, start_date FROM employees WHERE id = ?', [employeeId]);
+      if (empResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+      employee = empResult.rows[0];
+    }
+
+    const settings = await getSettings();
+    const current = currentLeaveYear(settings, employee);
+    const years = [];
+    for (let year = current + 1; year >= current - 2; year--) {
+      years.push({ year, label: leaveYearLabel(year, settings), ...getLeaveYearRange(year, settings, employee) });
+    }
+
+    res.json({ basis: settings.leave_year_basis, start: leaveYearStartDay(settings, employee), current, years });
+  } catch (err) {
+    console.error('Get leave years error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Start server
 async function start() {
   try {
@@ -1219,6 +5120,9 @@ async function start() {
       console.log(`  Email: admin@company.com`);
       console.log(`  Password: admin123\n`);
     });
+
+    runScheduledHolidayRefresh();
+    setInterval(runScheduledHolidayRefresh, PUBLIC_HOLIDAY_REFRESH_CHECK_MS);
   } catch (err) {
     console.error('Failed to start server:', err);
     process.exit(1);